@@ -0,0 +1,66 @@
+// components/AdminNav.js - Navigation bar shared by the admin pages
+import React from "react";
+import Link from "next/link";
+import { STAFF_ROLES, signOut, useStaff } from "@/lib/auth";
+
+// Links without a permission are shown to all staff
+const NAV_LINKS = [
+  { href: "/", label: "Student Login" },
+  { href: "/admin", label: "Admin Panel" },
+  { href: "/admin/review", label: "Review" },
+  { href: "/admin/import", label: "Import", permission: "students.edit" },
+  { href: "/admin/duplicates", label: "Duplicates", permission: "students.edit" },
+  { href: "/admin/security", label: "Security", permission: "security.manage" },
+  { href: "/admin/audit", label: "Audit Log", permission: "audit.view" },
+  { href: "/admin/settings", label: "Settings", permission: "settings.edit" },
+];
+
+const AdminNav = ({ active }) => {
+  const { user, can } = useStaff();
+
+  return (
+    <nav className="bg-blue-600 text-white p-4">
+      <div className="container mx-auto flex justify-between items-center">
+        <h1 className="text-xl font-bold">Student Check-in System</h1>
+        <div className="flex items-center space-x-4">
+          {NAV_LINKS.filter((link) => !link.permission || can(link.permission)).map(
+            (link) => (
+              <Link
+                key={link.href}
+                href={link.href}
+                className={`px-4 py-2 rounded ${
+                  link.href === active ? "bg-blue-800" : "bg-blue-500 hover:bg-blue-700"
+                }`}
+              >
+                {link.label}
+              </Link>
+            )
+          )}
+          {user && (
+            <div className="flex items-center space-x-2 pl-4 border-l border-blue-400">
+              <span className="text-sm">
+                {user.firstName}
+                <span className="text-blue-200">
+                  {" "}
+                  ·{" "}
+                  {(user.roles || [])
+                    .filter((role) => role in STAFF_ROLES)
+                    .map((role) => STAFF_ROLES[role])
+                    .join(", ")}
+                </span>
+              </span>
+              <button
+                onClick={signOut}
+                className="px-3 py-2 rounded bg-blue-500 hover:bg-blue-700 text-sm"
+              >
+                Sign Out
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </nav>
+  );
+};
+
+export default AdminNav;
@@ -0,0 +1,112 @@
+// components/AuditLogTable.js - Audit entries with their before/after changes
+import React from "react";
+import Link from "next/link";
+import {
+  AUDIT_ACTION_LABELS,
+  AUDIT_ENTITY_LABELS,
+  getAuditChanges,
+} from "@/lib/audit";
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const AuditLogTable = ({ entries, showStudent = true }) => {
+  if (entries.length === 0) {
+    return (
+      <div className="text-center py-8 text-gray-500">No activity found.</div>
+    );
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200 text-sm">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+              When
+            </th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+              Who
+            </th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+              Action
+            </th>
+            {showStudent && (
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                Student
+              </th>
+            )}
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+              Changes
+            </th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {entries.map((entry) => {
+            const changes = getAuditChanges(entry);
+            return (
+              <tr key={entry._id} className="align-top">
+                <td className="px-4 py-2 whitespace-nowrap">
+                  {formatDate(entry.timestamp)}
+                </td>
+                <td className="px-4 py-2 whitespace-nowrap">
+                  {entry.actor?.name || "Unknown"}
+                </td>
+                <td className="px-4 py-2 whitespace-nowrap">
+                  <div className="font-medium text-gray-900">
+                    {AUDIT_ACTION_LABELS[entry.action] || entry.action}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {AUDIT_ENTITY_LABELS[entry.entity] || entry.entity}
+                  </div>
+                </td>
+                {showStudent && (
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    {entry.studentId ? (
+                      <Link
+                        href={`/admin/student/${entry.studentId}`}
+                        className="text-blue-600 hover:text-blue-900"
+                      >
+                        {entry.studentName || entry.studentId}
+                      </Link>
+                    ) : (
+                      "-"
+                    )}
+                  </td>
+                )}
+                <td className="px-4 py-2">
+                  {changes.length === 0 ? (
+                    <span className="text-gray-400">-</span>
+                  ) : (
+                    <ul className="space-y-1">
+                      {changes.map((change) => (
+                        <li key={change.field} className="text-xs">
+                          <span className="font-medium text-gray-700">
+                            {change.field}:
+                          </span>{" "}
+                          <span className="text-red-700 line-through">
+                            {change.before}
+                          </span>{" "}
+                          →{" "}
+                          <span className="text-green-700">{change.after}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default AuditLogTable;
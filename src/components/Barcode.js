@@ -0,0 +1,33 @@
+// components/Barcode.js - Inline Code 128 barcode preview
+import React from "react";
+import { encodeCode128, QUIET_ZONE } from "@/lib/barcode";
+
+const Barcode = ({ value, height = 50, className = "" }) => {
+  const widths = encodeCode128(value);
+  const totalWidth = widths.reduce((sum, w) => sum + w, 0) + QUIET_ZONE * 2;
+
+  let x = QUIET_ZONE;
+  const bars = [];
+  widths.forEach((width, i) => {
+    if (i % 2 === 0) {
+      bars.push(<rect key={i} x={x} y={0} width={width} height={height} />);
+    }
+    x += width;
+  });
+
+  return (
+    <svg
+      viewBox={`0 0 ${totalWidth} ${height}`}
+      preserveAspectRatio="none"
+      shapeRendering="crispEdges"
+      className={className}
+      fill="#000"
+      role="img"
+      aria-label={`Barcode ${value}`}
+    >
+      {bars}
+    </svg>
+  );
+};
+
+export default Barcode;
@@ -0,0 +1,341 @@
+// components/BulkActionPanel.js - Apply one change to the selected students
+import React, { useState } from "react";
+import { authFetch } from "@/lib/auth";
+import { getCatalogOptions, getStatusLabel, useCatalogs } from "@/lib/catalog";
+import { printHtml } from "@/lib/badges";
+import { generatePin, getTakenPins, renderPinHandout } from "@/lib/pinPolicy";
+
+const API = process.env.NEXT_PUBLIC_API_URL;
+
+export const BULK_ACTIONS = {
+  status: { label: "Change status", permission: "students.edit" },
+  "add-games": { label: "Add games", permission: "students.edit" },
+  "remove-games": { label: "Remove games", permission: "students.edit" },
+  "class-end": { label: "Set end of class date", permission: "students.edit" },
+  "practice-end": { label: "Set end of practice date", permission: "students.edit" },
+  archive: { label: "Archive", permission: "students.archive" },
+  restore: { label: "Restore", permission: "students.archive" },
+  "regenerate-pins": { label: "Regenerate PINs", permission: "students.edit" },
+};
+
+// Actions with their own endpoint instead of a PUT of changed fields
+const ENDPOINT_ACTIONS = ["archive", "restore"];
+
+// Actions that go straight to the confirm step
+const NO_VALUE_ACTIONS = [...ENDPOINT_ACTIONS, "regenerate-pins"];
+
+const DATE_FIELDS = {
+  "class-end": "endOfClassDate",
+  "practice-end": "endOfPracticeDate",
+};
+
+const getFullName = (student) =>
+  `${student.firstName || ""} ${student.lastName || ""}`.trim();
+
+// New PINs are drawn once, when the panel opens, so the confirm step, the
+// saves and the hand-out all agree: { [studentId]: pin }
+const drawNewPins = (students, allStudents, pinPolicy) => {
+  const taken = getTakenPins(allStudents);
+  const pins = {};
+  students.forEach((student) => {
+    const pin = generatePin(pinPolicy, taken);
+    if (!pin) return;
+    taken.add(pin);
+    pins[student._id] = pin;
+  });
+  return pins;
+};
+
+// The PUT body for one student, or null when it already matches
+const buildUpdate = (action, value, student, newPins) => {
+  if (action === "regenerate-pins") return { pin: newPins[student._id] };
+  if (action === "archive") return student.archivedAt ? null : {};
+  if (action === "restore") return student.archivedAt ? {} : null;
+  if (action === "status") {
+    if (student.status === value) return null;
+    return { status: value, statusChangedDate: new Date().toISOString() };
+  }
+  if (action === "add-games" || action === "remove-games") {
+    const current = student.games || [];
+    const games =
+      action === "add-games"
+        ? [...current, ...value.filter((game) => !current.includes(game))]
+        : current.filter((game) => !value.includes(game));
+    return games.length === current.length ? null : { games };
+  }
+  const field = DATE_FIELDS[action];
+  if ((student[field] || "").slice(0, 10) === value) return null;
+  return { [field]: value };
+};
+
+const describeAction = (action, value, catalogs) => {
+  if (action === "status") return `Change status to "${getStatusLabel(catalogs, value)}"`;
+  if (action === "add-games") return `Add ${value.length} game(s)`;
+  if (action === "remove-games") return `Remove ${value.length} game(s)`;
+  if (action === "archive") return "Archive";
+  if (action === "restore") return "Restore";
+  if (action === "regenerate-pins") return "Give a new random PIN";
+  return `${BULK_ACTIONS[action].label} to ${new Date(
+    `${value}T00:00:00`
+  ).toLocaleDateString()}`;
+};
+
+// Steps: choose a value, confirm the summary, run row by row, report
+const BulkActionPanel = ({ action, students, allStudents, pinPolicy, onDone, onClose }) => {
+  const catalogs = useCatalogs();
+  const needsValue = !NO_VALUE_ACTIONS.includes(action);
+  const [value, setValue] = useState(action.endsWith("games") ? [] : "");
+  const [newPins] = useState(() =>
+    action === "regenerate-pins" ? drawNewPins(students, allStudents, pinPolicy) : {}
+  );
+  const [step, setStep] = useState(needsValue ? "edit" : "confirm");
+  const [progress, setProgress] = useState(0);
+  const [report, setReport] = useState([]);
+
+  const valueMissing =
+    needsValue && (Array.isArray(value) ? value.length === 0 : !value);
+  const plan = students.map((student) => ({
+    student,
+    update: valueMissing ? null : buildUpdate(action, value, student, newPins),
+  }));
+  const changing = plan.filter((row) => row.update);
+  const pinsMissing =
+    action === "regenerate-pins" && Object.keys(newPins).length < students.length;
+
+  const apply = async () => {
+    setStep("running");
+    const results = [];
+    for (const [index, { student, update }] of plan.entries()) {
+      setProgress(index + 1);
+      if (!update) {
+        results.push({ student, outcome: "skipped" });
+        continue;
+      }
+      try {
+        const response = !ENDPOINT_ACTIONS.includes(action)
+          ? await authFetch(`${API}/users/${student._id}`, {
+              method: "PUT",
+              headers: {
+                "Content-Type": "application/json",
+              },
+              body: JSON.stringify(update),
+            })
+          : await authFetch(`${API}/users/${student._id}/${action}`, {
+              method: "POST",
+            });
+        if (response.ok) {
+          results.push({ student, outcome: "done" });
+        } else {
+          const errorData = await response.json().catch(() => ({}));
+          results.push({
+            student,
+            outcome: "failed",
+            error:
+              response.status === 403
+                ? "Not allowed"
+                : response.status === 404
+                ? "Student no longer exists"
+                : errorData.error || `Error ${response.status}`,
+          });
+        }
+      } catch (err) {
+        results.push({ student, outcome: "failed", error: "Error connecting to server" });
+      }
+    }
+    setReport(results);
+    setStep("report");
+    onDone();
+  };
+
+  const toggleGame = (game) =>
+    setValue((prev) =>
+      prev.includes(game) ? prev.filter((g) => g !== game) : [...prev, game]
+    );
+
+  const failed = report.filter((row) => row.outcome === "failed");
+
+  const printHandout = () =>
+    printHtml(
+      renderPinHandout(
+        report
+          .filter((row) => row.outcome === "done")
+          .map(({ student }) => ({ student, pin: newPins[student._id] }))
+      )
+    );
+
+  return (
+    <div className="p-4 border border-blue-200 bg-blue-50 rounded-lg space-y-3 text-sm">
+      <h4 className="font-medium text-gray-900">
+        {BULK_ACTIONS[action].label} — {students.length} student
+        {students.length !== 1 ? "s" : ""}
+      </h4>
+
+      {step === "edit" && (
+        <>
+          {action === "status" && (
+            <select
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Choose a status</option>
+              {getCatalogOptions(catalogs.statuses).map((status) => (
+                <option key={status.value} value={status.value}>
+                  {status.label}
+                </option>
+              ))}
+            </select>
+          )}
+          {action.endsWith("games") && (
+            <div className="grid grid-cols-3 md:grid-cols-5 gap-2">
+              {(action === "add-games"
+                ? getCatalogOptions(catalogs.games)
+                : catalogs.games
+              ).map((game) => (
+                <label key={game.value} className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={value.includes(game.value)}
+                    onChange={() => toggleGame(game.value)}
+                    className="rounded"
+                  />
+                  <span>{game.label}</span>
+                </label>
+              ))}
+            </div>
+          )}
+          {DATE_FIELDS[action] && (
+            <input
+              type="date"
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          )}
+          <div className="flex gap-2">
+            <button
+              onClick={() => setStep("confirm")}
+              disabled={valueMissing}
+              className="px-3 py-1.5 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              Review
+            </button>
+            <button
+              onClick={onClose}
+              className="px-3 py-1.5 bg-gray-500 text-white rounded-md hover:bg-gray-600"
+            >
+              Cancel
+            </button>
+          </div>
+        </>
+      )}
+
+      {step === "confirm" && (
+        <>
+          <p className="text-gray-800">
+            {describeAction(action, value, catalogs)} for{" "}
+            <span className="font-semibold">{changing.length}</span> student
+            {changing.length !== 1 ? "s" : ""}.
+            {changing.length < students.length &&
+              ` ${students.length - changing.length} already match and will be skipped.`}
+            {action === "archive" &&
+              " They will be hidden from the roster and the kiosk; their attendance is kept."}
+            {action === "regenerate-pins" &&
+              " Their current PINs stop working right away; print the hand-out when done."}
+          </p>
+          {pinsMissing && (
+            <p className="text-red-700">
+              Not enough unused PINs at the current length. Raise the minimum
+              PIN length in Settings.
+            </p>
+          )}
+          <ul className="max-h-40 overflow-y-auto bg-white border border-gray-200 rounded-md divide-y divide-gray-100">
+            {changing.map(({ student }) => (
+              <li key={student._id} className="px-3 py-1.5">
+                {getFullName(student)}
+              </li>
+            ))}
+          </ul>
+          <div className="flex gap-2">
+            <button
+              onClick={apply}
+              disabled={changing.length === 0 || pinsMissing}
+              className={`px-3 py-1.5 text-white rounded-md disabled:opacity-50 ${
+                action === "archive"
+                  ? "bg-red-600 hover:bg-red-700"
+                  : "bg-blue-600 hover:bg-blue-700"
+              }`}
+            >
+              {needsValue ? "Apply" : BULK_ACTIONS[action].label} ({changing.length})
+            </button>
+            <button
+              onClick={() => (needsValue ? setStep("edit") : onClose())}
+              className="px-3 py-1.5 bg-gray-500 text-white rounded-md hover:bg-gray-600"
+            >
+              {needsValue ? "Back" : "Cancel"}
+            </button>
+          </div>
+        </>
+      )}
+
+      {step === "running" && (
+        <p className="text-gray-700">
+          Working on {progress} of {students.length}...
+        </p>
+      )}
+
+      {step === "report" && (
+        <>
+          <p className="text-gray-800">
+            {report.filter((row) => row.outcome === "done").length} done,{" "}
+            {report.filter((row) => row.outcome === "skipped").length} skipped,{" "}
+            <span className={failed.length > 0 ? "text-red-700 font-semibold" : ""}>
+              {failed.length} failed
+            </span>
+            .
+          </p>
+          <ul className="max-h-48 overflow-y-auto bg-white border border-gray-200 rounded-md divide-y divide-gray-100">
+            {report.map(({ student, outcome, error }) => (
+              <li key={student._id} className="px-3 py-1.5 flex justify-between gap-4">
+                <span>{getFullName(student)}</span>
+                <span
+                  className={
+                    outcome === "failed"
+                      ? "text-red-700"
+                      : outcome === "done"
+                      ? "text-green-700"
+                      : "text-gray-500"
+                  }
+                >
+                  {outcome === "failed"
+                    ? error
+                    : outcome === "done"
+                    ? "Done"
+                    : "No change needed"}
+                </span>
+              </li>
+            ))}
+          </ul>
+          <div className="flex gap-2">
+            {action === "regenerate-pins" && report.some((row) => row.outcome === "done") && (
+              <button
+                onClick={printHandout}
+                className="px-3 py-1.5 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+              >
+                Print PIN Hand-out
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="px-3 py-1.5 bg-gray-500 text-white rounded-md hover:bg-gray-600"
+            >
+              Close
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionPanel;
@@ -0,0 +1,120 @@
+// components/CatalogEditor.js - Edit a status or game catalog in settings
+import React, { useState } from "react";
+import { CATALOG_COLORS, createCatalogEntry } from "@/lib/catalog";
+
+// Entries are retired rather than deleted so existing records keep their name
+const CatalogEditor = ({ type, entries, onChange }) => {
+  const [newLabel, setNewLabel] = useState("");
+  const [error, setError] = useState("");
+
+  const updateEntry = (index, changes) =>
+    onChange(
+      entries.map((entry, i) => (i === index ? { ...entry, ...changes } : entry))
+    );
+
+  const moveEntry = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= entries.length) return;
+    const reordered = [...entries];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    onChange(reordered);
+  };
+
+  const addEntry = () => {
+    const { entry, error: entryError } = createCatalogEntry(type, newLabel, entries);
+    if (entryError) {
+      setError(entryError);
+      return;
+    }
+    onChange([...entries, entry]);
+    setNewLabel("");
+    setError("");
+  };
+
+  return (
+    <div className="space-y-2">
+      {entries.map((entry, index) => (
+        <div
+          key={entry.value}
+          className={`flex items-center gap-2 p-2 rounded-md border border-gray-200 ${
+            entry.active ? "" : "bg-gray-50"
+          }`}
+        >
+          <div className="flex flex-col">
+            <button
+              onClick={() => moveEntry(index, -1)}
+              disabled={index === 0}
+              className="text-xs text-gray-500 hover:text-gray-800 disabled:opacity-30"
+              aria-label="Move up"
+            >
+              ▲
+            </button>
+            <button
+              onClick={() => moveEntry(index, 1)}
+              disabled={index === entries.length - 1}
+              className="text-xs text-gray-500 hover:text-gray-800 disabled:opacity-30"
+              aria-label="Move down"
+            >
+              ▼
+            </button>
+          </div>
+          <input
+            type="text"
+            value={entry.label}
+            onChange={(e) => updateEntry(index, { label: e.target.value })}
+            className="flex-1 px-2 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <span className="text-xs text-gray-400 font-mono w-28 truncate" title={entry.value}>
+            {entry.value}
+          </span>
+          <select
+            value={entry.color}
+            onChange={(e) => updateEntry(index, { color: e.target.value })}
+            className="px-2 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {Object.entries(CATALOG_COLORS).map(([color, { label }]) => (
+              <option key={color} value={color}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <span
+            className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+              (CATALOG_COLORS[entry.color] || CATALOG_COLORS.gray).className
+            }`}
+          >
+            {entry.label || entry.value}
+          </span>
+          <label className="flex items-center gap-1 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={entry.active}
+              onChange={(e) => updateEntry(index, { active: e.target.checked })}
+              className="rounded"
+            />
+            Active
+          </label>
+        </div>
+      ))}
+      <div className="flex gap-2 pt-2">
+        <input
+          type="text"
+          value={newLabel}
+          onChange={(e) => setNewLabel(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && addEntry()}
+          placeholder={type === "games" ? "New game" : "New status"}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          onClick={addEntry}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 text-sm"
+        >
+          Add
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-700">{error}</p>}
+    </div>
+  );
+};
+
+export default CatalogEditor;
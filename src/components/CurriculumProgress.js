@@ -0,0 +1,67 @@
+// components/CurriculumProgress.js - Progress bars toward graduation hours
+import React from "react";
+import { getGameDisplayName, useCatalogs } from "@/lib/catalog";
+import { getCurriculumProgress } from "@/lib/curriculum";
+
+const ProgressBar = ({ label, completed, required, compact }) => {
+  const met = completed >= required;
+  const percent = required > 0 ? Math.min(100, (completed / required) * 100) : 0;
+  const barHeight = compact ? "h-1.5" : "h-2.5";
+
+  return (
+    <div>
+      <div className={`flex justify-between gap-2 ${compact ? "text-xs" : "text-sm"}`}>
+        <span className="text-gray-700">{label}</span>
+        <span className={met && required > 0 ? "text-green-700 font-medium" : "text-gray-600"}>
+          {completed.toFixed(1)}
+          {required > 0 ? ` / ${required}` : ""} h
+        </span>
+      </div>
+      {required > 0 && (
+        <div className={`w-full bg-gray-200 rounded-full ${barHeight}`}>
+          <div
+            className={`rounded-full ${barHeight} ${met ? "bg-green-500" : "bg-blue-500"}`}
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+const CurriculumProgress = ({ student, curriculum, compact = false }) => {
+  const catalogs = useCatalogs();
+  const progress = getCurriculumProgress(student, curriculum);
+  if (!progress.hasRequirements) {
+    return compact ? <span className="text-sm text-gray-400">-</span> : null;
+  }
+
+  return (
+    <div className={compact ? "space-y-1 min-w-[160px]" : "space-y-2"}>
+      {progress.total.required > 0 && (
+        <ProgressBar
+          label="Overall"
+          completed={progress.total.completed}
+          required={progress.total.required}
+          compact={compact}
+        />
+      )}
+      {progress.games.map((g) => (
+        <ProgressBar
+          key={g.game}
+          label={getGameDisplayName(catalogs, g.game)}
+          completed={g.completed}
+          required={g.required}
+          compact={compact}
+        />
+      ))}
+      {progress.complete && (
+        <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+          Requirements met
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default CurriculumProgress;
@@ -0,0 +1,94 @@
+// components/EligibilityPreview.js - Students a settings change would block or unblock
+import React from "react";
+import { getStatusLabel, useCatalogs } from "@/lib/catalog";
+import { downloadCSV, toCSV } from "@/lib/csv";
+import { getEligibilityChanges } from "@/lib/eligibility";
+
+const getFullName = (student) =>
+  `${student.firstName || ""} ${student.lastName || ""}`.trim();
+
+const ChangeList = ({ title, changes, className }) => (
+  <div>
+    <h4 className={`text-sm font-semibold mb-2 ${className}`}>
+      {title} ({changes.length})
+    </h4>
+    {changes.length === 0 ? (
+      <p className="text-sm text-gray-500">None</p>
+    ) : (
+      <ul className="max-h-48 overflow-y-auto divide-y divide-gray-100 text-sm">
+        {changes.map(({ student, message }) => (
+          <li key={student._id} className="py-1.5">
+            <span className="font-medium text-gray-900">{getFullName(student)}</span>
+            <span className="text-gray-500"> — {message}</span>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+const EligibilityPreview = ({ students, savedSettings, draftSettings, loading }) => {
+  const catalogs = useCatalogs();
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading students...</p>;
+  }
+
+  const { newlyBlocked, newlyUnblocked } = getEligibilityChanges(
+    students,
+    savedSettings,
+    draftSettings
+  );
+
+  const exportChanges = () => {
+    const rows = [
+      ["Change", "Student Name", "Email", "Status", "Reason"],
+      ...[
+        ...newlyBlocked.map((change) => ["Newly blocked", change]),
+        ...newlyUnblocked.map((change) => ["Newly unblocked", change]),
+      ].map(([label, { student, message }]) => [
+        label,
+        getFullName(student),
+        student.email || "",
+        student.status ? getStatusLabel(catalogs, student.status) : "",
+        message,
+      ]),
+    ];
+    downloadCSV(
+      toCSV(rows),
+      `eligibility-preview-${new Date().toISOString().split("T")[0]}.csv`
+    );
+  };
+
+  if (newlyBlocked.length === 0 && newlyUnblocked.length === 0) {
+    return (
+      <p className="text-sm text-gray-600">
+        Your changes do not block or unblock any of the {students.length} students.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <ChangeList
+          title="Newly blocked"
+          changes={newlyBlocked}
+          className="text-red-800"
+        />
+        <ChangeList
+          title="Newly unblocked"
+          changes={newlyUnblocked}
+          className="text-green-800"
+        />
+      </div>
+      <button
+        onClick={exportChanges}
+        className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 text-sm"
+      >
+        Export List
+      </button>
+    </div>
+  );
+};
+
+export default EligibilityPreview;
@@ -0,0 +1,32 @@
+// components/GameHoursBreakdown.js - Total practice hours per game
+import React from "react";
+import { getGameDisplayName, useCatalogs } from "@/lib/catalog";
+import { getGameHoursBreakdown, getGamesInSessions } from "@/lib/sessions";
+
+const GameHoursBreakdown = ({ sessions }) => {
+  const catalogs = useCatalogs();
+  const breakdown = getGameHoursBreakdown(sessions);
+  const games = getGamesInSessions(sessions);
+  if (games.length === 0) return null;
+
+  return (
+    <div>
+      <h4 className="text-sm font-medium text-gray-700 mb-2">Hours by Game</h4>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        {games.map((game) => (
+          <div
+            key={game}
+            className="flex justify-between px-3 py-2 bg-gray-50 rounded-md text-sm"
+          >
+            <span className="text-gray-600">{getGameDisplayName(catalogs, game)}</span>
+            <span className="font-semibold text-gray-900">
+              {breakdown[game].toFixed(2)}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default GameHoursBreakdown;
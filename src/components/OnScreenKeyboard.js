@@ -0,0 +1,54 @@
+// components/OnScreenKeyboard.js - A–Z keyboard for name search on touch kiosks
+import React from "react";
+
+const KEY_ROWS = ["QWERTYUIOP", "ASDFGHJKL", "ZXCVBNM-"];
+
+const OnScreenKeyboard = ({ value, onChange }) => {
+  const keyClass =
+    "flex-1 py-3 rounded-md text-lg font-medium bg-gray-100 text-gray-900 hover:bg-gray-200 active:bg-gray-300 select-none";
+
+  return (
+    <div className="space-y-2">
+      {KEY_ROWS.map((row) => (
+        <div key={row} className="flex gap-1">
+          {Array.from(row).map((key) => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => onChange(value + key.toLowerCase())}
+              className={keyClass}
+            >
+              {key}
+            </button>
+          ))}
+        </div>
+      ))}
+      <div className="flex gap-1">
+        <button
+          type="button"
+          onClick={() => onChange("")}
+          className={`${keyClass} text-sm`}
+        >
+          Clear
+        </button>
+        <button
+          type="button"
+          onClick={() => onChange(value + " ")}
+          className={`${keyClass} flex-[3] text-sm`}
+        >
+          Space
+        </button>
+        <button
+          type="button"
+          onClick={() => onChange(value.slice(0, -1))}
+          aria-label="Backspace"
+          className={keyClass}
+        >
+          ⌫
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default OnScreenKeyboard;
@@ -0,0 +1,100 @@
+// components/PinPad.js - Large-button numeric PIN entry for touch kiosks
+import React, { useEffect, useRef } from "react";
+
+// The longest PIN the settings allow. Not the current maximum: PINs set
+// before the rules changed are kept and must still be enterable.
+const MAX_PIN_LENGTH = 12;
+
+const PinPad = ({ value, onChange, onSubmit, disabled = false }) => {
+  const displayRef = useRef(null);
+
+  useEffect(() => {
+    displayRef.current?.focus();
+  }, []);
+
+  const pressDigit = (digit) => {
+    if (!disabled && value.length < MAX_PIN_LENGTH) onChange(value + digit);
+  };
+  const pressBackspace = () => !disabled && onChange(value.slice(0, -1));
+  const pressClear = () => !disabled && onChange("");
+
+  // The display takes focus so a hardware keyboard still works without a
+  // text input that would bring up the tablet's own keyboard
+  const handleKeyDown = (e) => {
+    if (/^\d$/.test(e.key)) {
+      pressDigit(e.key);
+    } else if (e.key === "Backspace") {
+      pressBackspace();
+    } else if (e.key === "Escape") {
+      pressClear();
+    } else if (e.key === "Enter" && value && !disabled) {
+      onSubmit();
+    } else {
+      return;
+    }
+    e.preventDefault();
+  };
+
+  const keyClass =
+    "py-4 rounded-md text-2xl font-semibold bg-gray-100 text-gray-900 hover:bg-gray-200 active:bg-gray-300 disabled:opacity-50 select-none";
+
+  return (
+    <div className="space-y-3">
+      <div
+        ref={displayRef}
+        tabIndex={0}
+        onKeyDown={handleKeyDown}
+        aria-label="PIN"
+        className="flex justify-center items-center gap-3 h-14 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        {value.length === 0 ? (
+          <span className="text-gray-400">Enter PIN</span>
+        ) : (
+          Array.from(value).map((_, i) => (
+            <span key={i} className="w-4 h-4 rounded-full bg-gray-800" />
+          ))
+        )}
+      </div>
+      <div className="grid grid-cols-3 gap-2">
+        {["1", "2", "3", "4", "5", "6", "7", "8", "9"].map((digit) => (
+          <button
+            key={digit}
+            type="button"
+            onClick={() => pressDigit(digit)}
+            disabled={disabled}
+            className={keyClass}
+          >
+            {digit}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={pressClear}
+          disabled={disabled}
+          className={`${keyClass} text-base`}
+        >
+          Clear
+        </button>
+        <button
+          type="button"
+          onClick={() => pressDigit("0")}
+          disabled={disabled}
+          className={keyClass}
+        >
+          0
+        </button>
+        <button
+          type="button"
+          onClick={pressBackspace}
+          disabled={disabled}
+          aria-label="Backspace"
+          className={keyClass}
+        >
+          ⌫
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PinPad;
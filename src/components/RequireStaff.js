@@ -0,0 +1,55 @@
+// components/RequireStaff.js - Renders an admin page only for signed-in staff
+import React, { useState, useEffect } from "react";
+import { useRouter } from "next/router";
+import Link from "next/link";
+import {
+  StaffContext,
+  getLoginUrl,
+  getStaffSession,
+  hasPermission,
+} from "@/lib/auth";
+
+const RequireStaff = ({ permission = "students.view", children }) => {
+  const router = useRouter();
+  const [user, setUser] = useState(null);
+  const [checked, setChecked] = useState(false);
+
+  // The session lives in localStorage, so it can only be read in the browser
+  useEffect(() => {
+    const session = getStaffSession();
+    if (!session?.token) {
+      router.replace(getLoginUrl(router.asPath));
+      return;
+    }
+    setUser(session.user);
+    setChecked(true);
+  }, [router]);
+
+  if (!checked) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex items-center justify-center text-gray-500">
+        Loading...
+      </div>
+    );
+  }
+
+  if (!hasPermission(user, permission)) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex items-center justify-center">
+        <div className="bg-white rounded-lg shadow-md p-6 max-w-sm text-center space-y-3">
+          <h2 className="text-xl font-bold text-gray-900">Not allowed</h2>
+          <p className="text-gray-600">
+            Your account does not have access to this page.
+          </p>
+          <Link href="/admin" className="text-blue-600 hover:text-blue-800">
+            ← Back to Admin Panel
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return <StaffContext.Provider value={user}>{children}</StaffContext.Provider>;
+};
+
+export default RequireStaff;
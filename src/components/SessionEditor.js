@@ -0,0 +1,172 @@
+// components/SessionEditor.js - Add a missed session or correct an existing one
+import React, { useState } from "react";
+import { authFetch } from "@/lib/auth";
+import { getGameDisplayName, useCatalogs } from "@/lib/catalog";
+import { SESSION_NOT_FOUND_MESSAGE, calculateSessionHours } from "@/lib/sessions";
+
+// <input type="datetime-local"> works in local time without a zone
+const toInputValue = (dateString) => {
+  if (!dateString) return "";
+  const date = new Date(dateString);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+    .toISOString()
+    .slice(0, 16);
+};
+
+// Without a session this adds one; an open session may be saved still open
+// (to fix its check-in) or closed by giving it a check-out time
+const SessionEditor = ({ studentId, session, games = [], onSaved, onNotFound, onCancel }) => {
+  const API = process.env.NEXT_PUBLIC_API_URL;
+  const catalogs = useCatalogs();
+  const isNew = !session;
+  const isOpen = !!session && !session.checkout;
+  const [checkin, setCheckin] = useState(toInputValue(session?.checkin));
+  const [checkout, setCheckout] = useState(toInputValue(session?.checkout));
+  const [game, setGame] = useState(games.length === 1 ? games[0] : "");
+  const [reason, setReason] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const hours =
+    checkin && checkout ? calculateSessionHours(checkin, checkout) : null;
+
+  const validate = () => {
+    if (!checkin) return "Check-in time is required";
+    if (!checkout && !isOpen) return "Check-out time is required";
+    if (checkout && new Date(checkout) <= new Date(checkin)) {
+      return "Check-out must be after check-in";
+    }
+    if (new Date(checkout || checkin) > new Date()) {
+      return "Times cannot be in the future";
+    }
+    if (!reason.trim()) return "A reason for the correction is required";
+    return "";
+  };
+
+  const handleSave = async () => {
+    const validationError = validate();
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setSaving(true);
+    setError("");
+
+    try {
+      const url = isNew
+        ? `${API}/users/${studentId}/sessions`
+        : `${API}/users/${studentId}/sessions/${session._id}`;
+      const response = await authFetch(url, {
+        method: isNew ? "POST" : "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          checkin: new Date(checkin).toISOString(),
+          checkout: checkout ? new Date(checkout).toISOString() : null,
+          hours,
+          ...(isNew && { game: game || null }),
+          reason: reason.trim(),
+        }),
+      });
+
+      if (response.ok) {
+        onSaved();
+      } else if (response.status === 404 && !isNew) {
+        onNotFound(SESSION_NOT_FOUND_MESSAGE);
+      } else if (response.status === 403) {
+        setError("You do not have permission to change sessions");
+      } else {
+        const errorData = await response.json().catch(() => ({}));
+        setError(errorData.error || "Failed to save session");
+      }
+    } catch (err) {
+      setError("Error connecting to server");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="p-4 border border-blue-200 bg-blue-50 rounded-lg space-y-3 text-sm">
+      <h4 className="font-medium text-gray-900">
+        {isNew ? "Add Missed Session" : isOpen ? "Correct or Close Session" : "Edit Session"}
+      </h4>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Check-in</label>
+          <input
+            type="datetime-local"
+            value={checkin}
+            onChange={(e) => setCheckin(e.target.value)}
+            className="w-full px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">
+            Check-out{isOpen ? " (leave blank to keep it open)" : ""}
+          </label>
+          <input
+            type="datetime-local"
+            value={checkout}
+            onChange={(e) => setCheckout(e.target.value)}
+            className="w-full px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+      </div>
+      {isNew && games.length > 0 && (
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Game</label>
+          <select
+            value={game}
+            onChange={(e) => setGame(e.target.value)}
+            className="w-full px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">Not recorded</option>
+            {games.map((g) => (
+              <option key={g} value={g}>
+                {getGameDisplayName(catalogs, g)}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">
+          Reason for correction (required)
+        </label>
+        <input
+          type="text"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder="e.g. Forgot to check out, confirmed with instructor"
+          className="w-full px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+      {hours !== null && (
+        <p className="text-gray-600">
+          Hours: <span className="font-semibold">{hours.toFixed(2)}</span>
+        </p>
+      )}
+      {error && <p className="text-red-700">{error}</p>}
+      <div className="flex gap-2">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-3 py-1.5 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Save"}
+        </button>
+        <button
+          onClick={onCancel}
+          className="px-3 py-1.5 bg-gray-500 text-white rounded-md hover:bg-gray-600"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SessionEditor;
@@ -0,0 +1,73 @@
+// lib/audit.js - Reading the admin audit trail
+//
+// The API appends an entry for every change made through the staff
+// endpoints (student saves, status changes, archiving, purges, session
+// deletions, settings saves). Entries cannot be edited or removed, so the client only
+// ever reads them:
+// { _id, timestamp, actor: { _id, name }, entity, entityId, studentId,
+//   studentName, action, before, after }
+
+export const AUDIT_ACTION_LABELS = {
+  create: "Created",
+  update: "Edited",
+  "status-change": "Status changed",
+  delete: "Deleted",
+  archive: "Archived",
+  restore: "Restored",
+  purge: "Permanently deleted",
+  merge: "Merged",
+  "session-delete": "Session deleted",
+  "settings-update": "Settings saved",
+};
+
+export const AUDIT_ENTITY_LABELS = {
+  student: "Student",
+  session: "Session",
+  settings: "Settings",
+};
+
+// Bookkeeping fields that change on every save, and secrets that are never
+// shown even though the API records that they changed
+const IGNORED_FIELDS = ["_id", "__v", "updatedAt", "createdAt", "sessions"];
+const MASKED_FIELDS = ["pin", "password"];
+
+const formatAuditValue = (field, value) => {
+  if (value === undefined || value === null || value === "") return "—";
+  if (MASKED_FIELDS.includes(field)) return "••••";
+  if (Array.isArray(value)) return value.join(", ") || "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return new Date(value).toLocaleString();
+  }
+  return String(value);
+};
+
+// [{ field, before, after }] for the fields that differ between the
+// before and after snapshots, with values formatted for display
+export const getAuditChanges = (entry) => {
+  const before = entry.before || {};
+  const after = entry.after || {};
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return fields
+    .filter((field) => !IGNORED_FIELDS.includes(field))
+    .filter(
+      (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+    )
+    .sort()
+    .map((field) => ({
+      field,
+      before: formatAuditValue(field, before[field]),
+      after: formatAuditValue(field, after[field]),
+    }));
+};
+
+// Query string for GET /audit; dates are whole days in local time
+export const buildAuditQuery = ({ studentId, start, end }) => {
+  const params = new URLSearchParams();
+  if (studentId) params.set("studentId", studentId);
+  if (start) params.set("from", new Date(`${start}T00:00:00`).toISOString());
+  if (end) params.set("to", new Date(`${end}T23:59:59.999`).toISOString());
+  const query = params.toString();
+  return query ? `?${query}` : "";
+};
@@ -0,0 +1,128 @@
+// lib/auth.js - Staff sign-in, roles and authenticated API calls
+//
+// Staff are users with one of STAFF_ROLES in their `roles` field. Signing in
+// returns a token that is sent with every admin API call; the API enforces
+// the same permissions, the checks here only decide what the UI offers.
+import { createContext, useContext } from "react";
+
+const API = process.env.NEXT_PUBLIC_API_URL;
+const SESSION_KEY = "ceg-staff-session";
+
+export const STAFF_ROLES = {
+  owner: "Owner",
+  "front-desk": "Front Desk",
+  instructor: "Instructor",
+};
+
+// Permission -> roles allowed to use it
+export const PERMISSIONS = {
+  "students.view": ["owner", "front-desk", "instructor"],
+  "students.edit": ["owner", "front-desk"],
+  "students.archive": ["owner", "front-desk"],
+  "students.purge": ["owner"],
+  "sessions.edit": ["owner", "front-desk"],
+  "sessions.delete": ["owner"],
+  "review.resolve": ["owner", "front-desk"],
+  "security.manage": ["owner", "front-desk"],
+  "settings.edit": ["owner"],
+  "audit.view": ["owner"],
+  "staff.manage": ["owner"],
+};
+
+export const isStaff = (user) =>
+  (user?.roles || []).some((role) => role in STAFF_ROLES);
+
+export const hasPermission = (user, permission) =>
+  (user?.roles || []).some((role) =>
+    (PERMISSIONS[permission] || []).includes(role)
+  );
+
+export const getStaffSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY)) || null;
+  } catch (err) {
+    return null;
+  }
+};
+
+export const clearStaffSession = () => localStorage.removeItem(SESSION_KEY);
+
+export const getLoginUrl = (next) =>
+  next && next !== "/admin/login"
+    ? `/admin/login?next=${encodeURIComponent(next)}`
+    : "/admin/login";
+
+// Returns { user } on success or { error } with a message for the form
+export const signIn = async (email, password) => {
+  try {
+    const response = await fetch(`${API}/auth/login`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ email: email.trim(), password }),
+    });
+
+    if (!response.ok) {
+      return {
+        error:
+          response.status === 401
+            ? "Incorrect email or password."
+            : "Unable to sign in. Please try again.",
+      };
+    }
+
+    const { token, user } = await response.json();
+    if (!isStaff(user)) {
+      return { error: "This account does not have staff access." };
+    }
+    localStorage.setItem(SESSION_KEY, JSON.stringify({ token, user }));
+    return { user };
+  } catch (err) {
+    return { error: "Error connecting to server" };
+  }
+};
+
+export const signOut = async () => {
+  const session = getStaffSession();
+  clearStaffSession();
+  if (session?.token) {
+    await fetch(`${API}/auth/logout`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${session.token}` },
+    }).catch(() => {});
+  }
+  window.location.href = "/admin/login";
+};
+
+// fetch() with the staff token. An expired or revoked token sends the user
+// back to the sign-in page; a 403 is returned to the caller to report.
+export const authFetch = async (url, options = {}) => {
+  const session = getStaffSession();
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(session?.token && { Authorization: `Bearer ${session.token}` }),
+    },
+  });
+
+  if (response.status === 401) {
+    clearStaffSession();
+    window.location.href = getLoginUrl(
+      window.location.pathname + window.location.search
+    );
+  }
+  return response;
+};
+
+export const StaffContext = createContext(null);
+
+// The signed-in staff user and a permission check, inside <RequireStaff>
+export const useStaff = () => {
+  const user = useContext(StaffContext);
+  return {
+    user,
+    can: (permission) => hasPermission(user, permission),
+  };
+};
@@ -0,0 +1,136 @@
+// lib/badges.js - Student badge codes and printable badge sheets
+import { code128Svg } from "@/lib/barcode";
+import { getGameDisplayName } from "@/lib/catalog";
+
+// Badge codes are issued (and signed) by the API; the prefix lets the kiosk
+// tell a scanned badge apart from a typed name
+export const BADGE_CODE_PREFIX = "CEG-";
+
+export const isBadgeCode = (text) =>
+  text.trim().toUpperCase().startsWith(BADGE_CODE_PREFIX);
+
+// Card sizes are in inches. cardsPerPage cards are laid out in `columns`
+// columns on each printed page.
+export const BADGE_TEMPLATES = {
+  cr80: {
+    label: "CR80 card (one per page)",
+    pageSize: "3.375in 2.125in",
+    pageMargin: "0",
+    cardWidth: 3.375,
+    cardHeight: 2.125,
+    columns: 1,
+    cardsPerPage: 1,
+  },
+  avery10: {
+    label: "Avery-style 10-up sheet (Letter)",
+    pageSize: "letter",
+    pageMargin: "0.5in 0.75in",
+    cardWidth: 3.5,
+    cardHeight: 2,
+    columns: 2,
+    cardsPerPage: 10,
+  },
+};
+
+export const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const formatDate = (dateString) =>
+  dateString ? new Date(dateString).toLocaleDateString() : "—";
+
+const getTemplateStyles = (template) => `
+  @page { size: ${template.pageSize}; margin: ${template.pageMargin}; }
+  body { margin: 0; font-family: Arial, Helvetica, sans-serif; }
+  .sheet { display: grid; grid-template-columns: repeat(${template.columns}, ${template.cardWidth}in); grid-auto-rows: ${template.cardHeight}in; page-break-after: always; }
+  .sheet:last-child { page-break-after: auto; }
+  .card { box-sizing: border-box; padding: 0.12in; display: flex; flex-direction: column; justify-content: space-between; overflow: hidden; ${template.cardsPerPage > 1 ? "border: 1px dashed #d1d5db;" : ""} }
+  .top { display: flex; gap: 0.1in; }
+  .photo { width: 0.65in; height: 0.8in; object-fit: cover; border-radius: 2px; }
+  .school { font-size: 7pt; text-transform: uppercase; letter-spacing: 0.05em; color: #1d4ed8; }
+  .name { font-size: 12pt; font-weight: bold; line-height: 1.1; }
+  .detail { font-size: 6.5pt; color: #374151; line-height: 1.3; }
+  .barcode svg { width: 100%; height: 0.4in; }
+  .code { font-family: monospace; font-size: 6pt; text-align: center; }
+`;
+
+export const renderBadgeCard = (student, catalogs) => `
+  <div class="card">
+    <div class="top">
+      ${
+        student.photoUrl
+          ? `<img class="photo" src="${escapeHtml(student.photoUrl)}" alt="" />`
+          : ""
+      }
+      <div>
+        <div class="school">Student Badge</div>
+        <div class="name">${escapeHtml(
+          `${student.firstName || ""} ${student.lastName || ""}`.trim()
+        )}</div>
+        <div class="detail">${escapeHtml(student.status || "")}</div>
+        <div class="detail">${escapeHtml(
+          (student.games || []).map((game) => getGameDisplayName(catalogs, game)).join(", ")
+        )}</div>
+        <div class="detail">Registered: ${formatDate(student.registrationDate)}</div>
+        <div class="detail">Practice ends: ${formatDate(student.endOfPracticeDate)}</div>
+      </div>
+    </div>
+    <div>
+      <div class="barcode">${code128Svg(student.badgeCode)}</div>
+      <div class="code">${escapeHtml(student.badgeCode)}</div>
+    </div>
+  </div>
+`;
+
+// The print dialog opens once the page (including photos) has loaded, where
+// it can be printed or saved as PDF
+export const renderPrintDocument = (title, styles, body) => `<!DOCTYPE html>
+<html>
+  <head>
+    <title>${escapeHtml(title)}</title>
+    <style>${styles}</style>
+  </head>
+  <body onload="window.print()">${body}</body>
+</html>`;
+
+export const renderBadgeSheets = (students, catalogs, templateId = "cr80") => {
+  const template = BADGE_TEMPLATES[templateId] || BADGE_TEMPLATES.cr80;
+  const sheets = [];
+  for (let i = 0; i < students.length; i += template.cardsPerPage) {
+    const cards = students.slice(i, i + template.cardsPerPage);
+    sheets.push(`<div class="sheet">${cards.map((student) => renderBadgeCard(student, catalogs)).join("")}</div>`);
+  }
+
+  return renderPrintDocument(
+    "Student Badges",
+    getTemplateStyles(template),
+    sheets.join("")
+  );
+};
+
+// Open the window straight from the click handler (before any awaits) so
+// pop-up blockers allow it, then write the sheets once they are ready
+export const openPrintWindow = () => {
+  const printWindow = window.open("", "_blank");
+  if (!printWindow) {
+    alert("Please allow pop-ups to print");
+  }
+  return printWindow;
+};
+
+export const writePrintWindow = (printWindow, html) => {
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+};
+
+export const printHtml = (html) => {
+  const printWindow = openPrintWindow();
+  if (printWindow) writePrintWindow(printWindow, html);
+};
+
+export const printBadges = (students, catalogs, templateId) =>
+  printHtml(renderBadgeSheets(students, catalogs, templateId));
@@ -0,0 +1,112 @@
+// lib/catalog.js - Student statuses and games, managed from the settings page
+//
+// settings.statusCatalog / settings.gameCatalog:
+// [{ value, label, color, active }] in display order. `value` is what is
+// stored on students and sessions and never changes once created; renaming
+// only changes the label. Retired entries (active: false) are no longer
+// offered for new records but still display on existing ones.
+import { createContext, useContext } from "react";
+
+export const CATALOG_COLORS = {
+  gray: { label: "Gray", className: "bg-gray-100 text-gray-800" },
+  green: { label: "Green", className: "bg-green-100 text-green-800" },
+  blue: { label: "Blue", className: "bg-blue-100 text-blue-800" },
+  yellow: { label: "Yellow", className: "bg-yellow-100 text-yellow-800" },
+  orange: { label: "Orange", className: "bg-orange-100 text-orange-800" },
+  red: { label: "Red", className: "bg-red-100 text-red-800" },
+  purple: { label: "Purple", className: "bg-purple-100 text-purple-800" },
+};
+
+export const DEFAULT_STATUS_CATALOG = [
+  { value: "Current Student", label: "Current Student", color: "green", active: true },
+  { value: "Suspended", label: "Suspended", color: "red", active: true },
+  { value: "Paused", label: "Paused", color: "yellow", active: true },
+  { value: "Graduate", label: "Graduate", color: "blue", active: true },
+  { value: "Other", label: "Other", color: "gray", active: true },
+];
+
+export const DEFAULT_GAME_CATALOG = [
+  { value: "craps", label: "Craps", color: "gray", active: true },
+  { value: "roulette", label: "Roulette", color: "gray", active: true },
+  { value: "blackjack", label: "Blackjack", color: "gray", active: true },
+  { value: "baccarat", label: "Baccarat", color: "gray", active: true },
+  { value: "poker", label: "Poker", color: "gray", active: true },
+  { value: "pai-gow", label: "Pai-gow", color: "gray", active: true },
+  { value: "keno", label: "Keno", color: "gray", active: true },
+  { value: "uth", label: "UTH", color: "gray", active: true },
+  { value: "sic-bo", label: "Sic-bo", color: "gray", active: true },
+  { value: "sr", label: "SR", color: "gray", active: true },
+];
+
+export const DEFAULT_CATALOGS = {
+  statuses: DEFAULT_STATUS_CATALOG,
+  games: DEFAULT_GAME_CATALOG,
+};
+
+// { statuses, games } from a settings document, falling back to the defaults
+export const getCatalogs = (settings) => ({
+  statuses: settings?.statusCatalog?.length
+    ? settings.statusCatalog
+    : DEFAULT_STATUS_CATALOG,
+  games: settings?.gameCatalog?.length ? settings.gameCatalog : DEFAULT_GAME_CATALOG,
+});
+
+// Pages provide the catalogs of the settings they loaded; components read
+// them with useCatalogs(). Code outside React takes them as an argument.
+export const CatalogContext = createContext(DEFAULT_CATALOGS);
+
+export const useCatalogs = () => useContext(CatalogContext);
+
+// Unknown values (removed from the catalog, or typed in before it existed)
+// display as stored
+const findEntry = (catalog, value) =>
+  catalog.find((entry) => entry.value === value) || {
+    value,
+    label: value,
+    color: "gray",
+    active: false,
+  };
+
+// Entries to offer in a picker: the active ones, plus any retired value the
+// record already has so editing it does not silently drop it
+export const getCatalogOptions = (catalog, selected = []) => {
+  const keep = Array.isArray(selected) ? selected : [selected];
+  const options = catalog.filter(
+    (entry) => entry.active || keep.includes(entry.value)
+  );
+  const missing = keep
+    .filter((value) => value && !catalog.some((entry) => entry.value === value))
+    .map((value) => findEntry(catalog, value));
+  return [...options, ...missing];
+};
+
+export const getStatusLabel = (catalogs, status) =>
+  findEntry(catalogs.statuses, status).label;
+
+export const getStatusColorClass = (catalogs, status) =>
+  (CATALOG_COLORS[findEntry(catalogs.statuses, status).color] || CATALOG_COLORS.gray)
+    .className;
+
+// Hours from sessions without a recorded game. Not a catalog entry, so it
+// can never be assigned to a student.
+export const UNASSIGNED_GAME = "unassigned";
+
+export const getGameDisplayName = (catalogs, game) =>
+  game === UNASSIGNED_GAME ? "Unassigned" : findEntry(catalogs.games, game).label;
+
+// Retired games stay on the student but can no longer be practiced
+export const isGameActive = (catalogs, game) => findEntry(catalogs.games, game).active;
+
+// Games are stored as lowercase slugs; statuses as their original label
+export const createCatalogEntry = (type, label, catalog) => {
+  const trimmed = label.trim();
+  const value =
+    type === "games"
+      ? trimmed.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "")
+      : trimmed;
+  if (!value) return { error: "Enter a name" };
+  if (catalog.some((entry) => entry.value === value)) {
+    return { error: `"${trimmed}" already exists` };
+  }
+  return { entry: { value, label: trimmed, color: "gray", active: true } };
+};
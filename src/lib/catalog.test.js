@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_GAME_CATALOG,
+  DEFAULT_STATUS_CATALOG,
+  getCatalogOptions,
+  getCatalogs,
+  getGameDisplayName,
+  getStatusLabel,
+  isGameActive,
+  UNASSIGNED_GAME,
+} from "@/lib/catalog";
+
+const games = [
+  { value: "craps", label: "Dice", color: "gray", active: true },
+  { value: "keno", label: "Keno", color: "gray", active: false },
+];
+
+describe("getCatalogs", () => {
+  it("uses the catalogs from settings", () => {
+    expect(getCatalogs({ gameCatalog: games }).games).toBe(games);
+  });
+
+  it("falls back to the defaults for missing or empty catalogs", () => {
+    expect(getCatalogs(null)).toEqual({
+      statuses: DEFAULT_STATUS_CATALOG,
+      games: DEFAULT_GAME_CATALOG,
+    });
+    expect(getCatalogs({ statusCatalog: [], gameCatalog: games }).statuses).toBe(
+      DEFAULT_STATUS_CATALOG
+    );
+  });
+
+  it("keeps the catalogs of different settings apart", () => {
+    const renamed = getCatalogs({ gameCatalog: games });
+    expect(getGameDisplayName(renamed, "craps")).toBe("Dice");
+    expect(getGameDisplayName(getCatalogs(null), "craps")).toBe("Craps");
+  });
+});
+
+describe("lookups", () => {
+  const catalogs = getCatalogs({ gameCatalog: games });
+
+  it("display unknown values as stored", () => {
+    expect(getStatusLabel(catalogs, "Alumni")).toBe("Alumni");
+    expect(getGameDisplayName(catalogs, "faro")).toBe("faro");
+  });
+
+  it("label hours without a recorded game", () => {
+    expect(getGameDisplayName(catalogs, UNASSIGNED_GAME)).toBe("Unassigned");
+  });
+
+  it("treat retired and unknown games as inactive", () => {
+    expect(isGameActive(catalogs, "craps")).toBe(true);
+    expect(isGameActive(catalogs, "keno")).toBe(false);
+    expect(isGameActive(catalogs, "faro")).toBe(false);
+  });
+});
+
+describe("getCatalogOptions", () => {
+  it("offers active entries plus the record's retired and unknown values", () => {
+    expect(getCatalogOptions(games, ["keno", "faro"]).map((e) => e.value)).toEqual([
+      "craps",
+      "keno",
+      "faro",
+    ]);
+    expect(getCatalogOptions(games).map((e) => e.value)).toEqual(["craps"]);
+  });
+});
@@ -0,0 +1,47 @@
+// lib/curriculum.js - Graduation progress against the curriculum in settings
+//
+// settings.curriculum = { minimumTotalHours, gameHours: { [game]: hours } }.
+// Only hours logged against a game count toward that game's requirement;
+// all completed hours count toward the overall minimum.
+import { getGameHoursBreakdown } from "@/lib/sessions";
+
+export const DEFAULT_CURRICULUM = {
+  minimumTotalHours: 0,
+  gameHours: {},
+};
+
+export const getCurriculumProgress = (student, curriculum) => {
+  const requirements = curriculum || DEFAULT_CURRICULUM;
+  const hoursByGame = getGameHoursBreakdown(student.sessions);
+  const completedTotal = (student.sessions || []).reduce(
+    (total, session) => total + (session.hours || 0),
+    0
+  );
+
+  const games = (student.games || []).map((game) => {
+    const required = Number(requirements.gameHours?.[game]) || 0;
+    const completed = hoursByGame[game] || 0;
+    return { game, required, completed, met: completed >= required };
+  });
+
+  const requiredTotal = Number(requirements.minimumTotalHours) || 0;
+  const total = {
+    required: requiredTotal,
+    completed: completedTotal,
+    met: completedTotal >= requiredTotal,
+  };
+
+  return {
+    games,
+    total,
+    hasRequirements: requiredTotal > 0 || games.some((g) => g.required > 0),
+    complete: total.met && games.every((g) => g.met),
+  };
+};
+
+// Met every requirement but still enrolled
+export const isReadyToGraduate = (student, curriculum) => {
+  if (student.status !== "Current Student") return false;
+  const progress = getCurriculumProgress(student, curriculum);
+  return progress.hasRequirements && progress.complete;
+};
@@ -0,0 +1,171 @@
+// lib/duplicates.js - Find likely duplicate students and plan a merge
+//
+// Only pairs sharing a key (ID number, email, phone, or the sound of the
+// first or last name) are scored, so the roster is not compared pairwise.
+// Archived students and pairs marked as not duplicates
+// (student.notDuplicateOf) are skipped.
+import {
+  DEFAULT_NICKNAMES,
+  areNicknames,
+  editDistance,
+  normalizeText,
+  soundex,
+} from "@/lib/search";
+
+export const DUPLICATE_THRESHOLD = 30;
+export const LIKELY_DUPLICATE_SCORE = 60;
+
+// Fields picked from one record or the other when merging. Games, notes and
+// sessions are combined instead.
+export const MERGE_FIELDS = [
+  { key: "firstName", label: "First Name" },
+  { key: "lastName", label: "Last Name" },
+  { key: "pin", label: "PIN" },
+  { key: "idNumber", label: "ID Number" },
+  { key: "email", label: "Email" },
+  { key: "phone", label: "Phone" },
+  { key: "street", label: "Street" },
+  { key: "city", label: "City" },
+  { key: "state", label: "State" },
+  { key: "zipCode", label: "Zip Code" },
+  { key: "foreignAddress", label: "Foreign Address" },
+  { key: "status", label: "Status" },
+  { key: "source", label: "Source" },
+  { key: "registrationDate", label: "Registration Date", type: "date" },
+  { key: "endOfClassDate", label: "End of Class Date", type: "date" },
+  { key: "endOfPracticeDate", label: "End of Practice Date", type: "date" },
+  { key: "badgeCode", label: "Badge" },
+];
+
+const getPhoneKey = (phone) => {
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits.length >= 7 ? digits.slice(-10) : "";
+};
+
+const getIdKey = (idNumber) => normalizeText(idNumber).replace(/[\s-]/g, "");
+
+const scoreName = (a, b, nicknames) => {
+  const x = normalizeText(a);
+  const y = normalizeText(b);
+  if (!x || !y) return { score: 0 };
+  if (x === y) return { score: 20, reason: "same" };
+  if (areNicknames(x, y, nicknames)) return { score: 15, reason: "nickname" };
+  const shorter = Math.min(x.length, y.length);
+  if (shorter >= 3 && editDistance(x, y) <= (shorter >= 6 ? 2 : 1)) {
+    return { score: 12, reason: "similar" };
+  }
+  if (soundex(x) === soundex(y)) return { score: 8, reason: "sounds alike" };
+  return { score: 0 };
+};
+
+// { score, reasons } for one pair of students
+export const scoreDuplicatePair = (a, b, nicknames = DEFAULT_NICKNAMES) => {
+  let score = 0;
+  const reasons = [];
+
+  const idA = getIdKey(a.idNumber);
+  const idB = getIdKey(b.idNumber);
+  if (idA && idA === idB) {
+    score += 60;
+    reasons.push("Same ID number");
+  } else if (idA && idB) {
+    score -= 30;
+  }
+
+  if (a.email && normalizeText(a.email) === normalizeText(b.email)) {
+    score += 50;
+    reasons.push("Same email");
+  }
+
+  const phoneA = getPhoneKey(a.phone);
+  if (phoneA && phoneA === getPhoneKey(b.phone)) {
+    score += 30;
+    reasons.push("Same phone");
+  }
+
+  const first = scoreName(a.firstName, b.firstName, nicknames);
+  const last = scoreName(a.lastName, b.lastName, nicknames);
+  score += first.score + last.score;
+  if (first.reason) reasons.push(`First name ${first.reason}`);
+  if (last.reason) reasons.push(`Last name ${last.reason}`);
+
+  return { score, reasons };
+};
+
+// [{ a, b, score, reasons }] above the threshold, most likely first
+export const findDuplicates = (students, { nicknames = DEFAULT_NICKNAMES } = {}) => {
+  const active = students.filter((s) => !s.archivedAt);
+  const buckets = new Map();
+  const addToBucket = (key, index) => {
+    if (!key) return;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(index);
+  };
+
+  active.forEach((student, index) => {
+    addToBucket(getIdKey(student.idNumber) && `id:${getIdKey(student.idNumber)}`, index);
+    addToBucket(student.email && `email:${normalizeText(student.email)}`, index);
+    addToBucket(getPhoneKey(student.phone) && `phone:${getPhoneKey(student.phone)}`, index);
+    addToBucket(soundex(normalizeText(student.firstName)) && `first:${soundex(normalizeText(student.firstName))}`, index);
+    addToBucket(soundex(normalizeText(student.lastName)) && `last:${soundex(normalizeText(student.lastName))}`, index);
+  });
+
+  const seen = new Set();
+  const pairs = [];
+  buckets.forEach((indexes) => {
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const a = active[indexes[i]];
+        const b = active[indexes[j]];
+        const pairKey = [a._id, b._id].sort().join(":");
+        if (seen.has(pairKey)) continue;
+        seen.add(pairKey);
+        if ((a.notDuplicateOf || []).includes(b._id)) continue;
+        if ((b.notDuplicateOf || []).includes(a._id)) continue;
+
+        const { score, reasons } = scoreDuplicatePair(a, b, nicknames);
+        if (score >= DUPLICATE_THRESHOLD) pairs.push({ a, b, score, reasons });
+      }
+    }
+  });
+
+  return pairs.sort((x, y) => y.score - x.score);
+};
+
+// The record to keep by default: more sessions, then the earlier registration
+export const pickSurvivor = (a, b) => {
+  const sessionsA = a.sessions?.length || 0;
+  const sessionsB = b.sessions?.length || 0;
+  if (sessionsA !== sessionsB) return sessionsA > sessionsB ? a : b;
+  const registeredA = a.registrationDate ? new Date(a.registrationDate) : Infinity;
+  const registeredB = b.registrationDate ? new Date(b.registrationDate) : Infinity;
+  return registeredB < registeredA ? b : a;
+};
+
+// Field -> "survivor" | "duplicate": the survivor's value unless it is blank
+export const getDefaultMergeChoices = (survivor, duplicate) =>
+  Object.fromEntries(
+    MERGE_FIELDS.map(({ key }) => [
+      key,
+      !survivor[key] && duplicate[key] ? "duplicate" : "survivor",
+    ])
+  );
+
+// The survivor's fields after the merge. Sessions are moved by the API.
+// Fields blank on both records are left out rather than sent as "".
+export const buildMergedStudent = (survivor, duplicate, choices) => {
+  const fields = Object.fromEntries(
+    MERGE_FIELDS.filter(({ key }) => survivor[key] || duplicate[key]).map(({ key }) => [
+      key,
+      (choices[key] === "duplicate" ? duplicate : survivor)[key] ?? "",
+    ])
+  );
+  const notes = [survivor.notes, duplicate.notes]
+    .map((note) => (note || "").trim())
+    .filter(Boolean);
+  return {
+    ...fields,
+    games: [...new Set([...(survivor.games || []), ...(duplicate.games || [])])],
+    notes: [...new Set(notes)].join("\n\n"),
+  };
+};
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import {
+  buildMergedStudent,
+  findDuplicates,
+  getDefaultMergeChoices,
+} from "@/lib/duplicates";
+
+const survivor = {
+  _id: "a",
+  firstName: "Dana",
+  lastName: "Reyes",
+  pin: "4821",
+  email: "",
+  games: ["craps"],
+  notes: "Prefers mornings",
+};
+const duplicate = {
+  _id: "b",
+  firstName: "Dana",
+  lastName: "Reyes",
+  pin: "5937",
+  email: "dana@example.com",
+  games: ["craps", "keno"],
+  notes: "Prefers mornings",
+};
+
+describe("buildMergedStudent", () => {
+  const merged = buildMergedStudent(
+    survivor,
+    duplicate,
+    getDefaultMergeChoices(survivor, duplicate)
+  );
+
+  it("keeps the survivor's values and fills its blanks from the duplicate", () => {
+    expect(merged).toMatchObject({ pin: "4821", email: "dana@example.com" });
+  });
+
+  it("leaves out fields blank on both records", () => {
+    expect(merged).not.toHaveProperty("phone");
+    expect(merged).not.toHaveProperty("badgeCode");
+  });
+
+  it("sends a blank the user chose over a value", () => {
+    const fields = buildMergedStudent(survivor, duplicate, {
+      ...getDefaultMergeChoices(survivor, duplicate),
+      email: "survivor",
+    });
+    expect(fields.email).toBe("");
+  });
+
+  it("combines games and notes", () => {
+    expect(merged.games).toEqual(["craps", "keno"]);
+    expect(merged.notes).toBe("Prefers mornings");
+  });
+});
+
+describe("findDuplicates", () => {
+  it("uses the default nicknames for a null setting", () => {
+    const pairs = findDuplicates(
+      [
+        { _id: "a", firstName: "Robert", lastName: "Smith", phone: "555-0100-123" },
+        { _id: "b", firstName: "Bob", lastName: "Smith", phone: "5550100123" },
+      ],
+      { nicknames: null }
+    );
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0].reasons).toContain("First name nickname");
+  });
+});
@@ -0,0 +1,133 @@
+// lib/eligibility.js - Check-in eligibility rules shared by the kiosk and admin
+//
+// Each rule decides whether it applies to a student under the settings.
+// settings.eligibilityRules = { [ruleId]: { message, severity } } overrides
+// the rule's message and whether it blocks check-in or only warns. Messages
+// may use {name}, {status} and {date}.
+import { getCatalogs, getStatusLabel } from "@/lib/catalog";
+import { isPastEndDate } from "@/lib/endDates";
+
+export const RULE_SEVERITIES = {
+  block: "Block check-in",
+  warn: "Warn only",
+};
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString();
+
+// check() returns the message values when the rule applies, or null
+export const ELIGIBILITY_RULES = [
+  {
+    id: "status",
+    label: "Blocked status",
+    description: "The student's status is one of the blocked statuses.",
+    message: 'Students with status "{status}" are not allowed to check in.',
+    severity: "block",
+    check: (student, settings) =>
+      student.status && (settings.blockedStatuses || []).includes(student.status)
+        ? {}
+        : null,
+  },
+  {
+    id: "class-end",
+    label: "Class end date passed",
+    description: "Class end date enforcement is on and the date and grace days have passed.",
+    message: "Your class end date has passed. Please contact administration.",
+    severity: "block",
+    check: (student, settings, today) =>
+      settings.enforceClassEndDate &&
+      student.endOfClassDate &&
+      isPastEndDate(student.endOfClassDate, settings.classEndGraceDays, today)
+        ? { date: formatDate(student.endOfClassDate) }
+        : null,
+  },
+  {
+    id: "practice-end",
+    label: "Practice end date passed",
+    description: "Practice end date enforcement is on and the date and grace days have passed.",
+    message: "Your practice end date has passed. Please contact administration.",
+    severity: "block",
+    check: (student, settings, today) =>
+      settings.enforcePracticeEndDate &&
+      student.endOfPracticeDate &&
+      isPastEndDate(student.endOfPracticeDate, settings.practiceEndGraceDays, today)
+        ? { date: formatDate(student.endOfPracticeDate) }
+        : null,
+  },
+];
+
+// The rule with any admin overrides applied
+export const getRuleConfig = (rule, settings) => {
+  const override = settings?.eligibilityRules?.[rule.id] || {};
+  return {
+    message: override.message?.trim() || rule.message,
+    severity: override.severity in RULE_SEVERITIES ? override.severity : rule.severity,
+  };
+};
+
+const fillMessage = (template, student, values, catalogs) => {
+  const replacements = {
+    name: student.firstName || "",
+    status: student.status ? getStatusLabel(catalogs, student.status) : "",
+    ...values,
+  };
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    key in replacements ? replacements[key] : match
+  );
+};
+
+const ARCHIVED_MESSAGE =
+  "Your student record is not active. Please contact administration.";
+
+// { blocks: [{ rule, message }], warnings: [{ rule, message }] } in rule order.
+// Archived students are always blocked, whatever the settings say.
+export const evaluateEligibility = (student, settings, today = new Date()) => {
+  if (student.archivedAt) {
+    return { blocks: [{ rule: "archived", message: ARCHIVED_MESSAGE }], warnings: [] };
+  }
+  const result = { blocks: [], warnings: [] };
+  if (!settings) return result;
+
+  const catalogs = getCatalogs(settings);
+  ELIGIBILITY_RULES.forEach((rule) => {
+    const values = rule.check(student, settings, today);
+    if (!values) return;
+    const config = getRuleConfig(rule, settings);
+    const finding = {
+      rule: rule.id,
+      message: fillMessage(config.message, student, values, catalogs),
+    };
+    result[config.severity === "warn" ? "warnings" : "blocks"].push(finding);
+  });
+
+  return result;
+};
+
+// { valid: true } or { valid: false, rule, message } for the first block
+export const validateStudent = (student, settings, today = new Date()) => {
+  const { blocks } = evaluateEligibility(student, settings, today);
+  return blocks.length > 0 ? { valid: false, ...blocks[0] } : { valid: true };
+};
+
+// Students whose eligibility differs between the saved and edited settings.
+// Each change carries the message from whichever side blocks the student.
+export const getEligibilityChanges = (
+  students,
+  savedSettings,
+  draftSettings,
+  today = new Date()
+) => {
+  const newlyBlocked = [];
+  const newlyUnblocked = [];
+
+  students.forEach((student) => {
+    const before = validateStudent(student, savedSettings, today);
+    const after = validateStudent(student, draftSettings, today);
+    if (before.valid && !after.valid) {
+      newlyBlocked.push({ student, message: after.message });
+    } else if (!before.valid && after.valid) {
+      newlyUnblocked.push({ student, message: before.message });
+    }
+  });
+
+  return { newlyBlocked, newlyUnblocked };
+};
@@ -0,0 +1,245 @@
+import { describe, expect, it } from "vitest";
+import {
+  evaluateEligibility,
+  getEligibilityChanges,
+  validateStudent,
+} from "@/lib/eligibility";
+
+// Local times, so day arithmetic does not depend on the machine's time zone
+const TODAY = new Date("2025-03-10T12:00:00");
+const END_DATE = "2025-03-05T00:00:00";
+
+const student = (fields = {}) => ({
+  _id: "s1",
+  firstName: "Dana",
+  lastName: "Reyes",
+  status: "Current Student",
+  ...fields,
+});
+
+describe("status rule", () => {
+  const settings = { blockedStatuses: ["Suspended"] };
+
+  it("blocks a student whose status is blocked", () => {
+    const result = validateStudent(student({ status: "Suspended" }), settings, TODAY);
+    expect(result).toEqual({
+      valid: false,
+      rule: "status",
+      message: 'Students with status "Suspended" are not allowed to check in.',
+    });
+  });
+
+  it("allows other statuses", () => {
+    expect(validateStudent(student(), settings, TODAY)).toEqual({ valid: true });
+  });
+
+  it("allows a student without a status", () => {
+    expect(validateStudent(student({ status: "" }), settings, TODAY).valid).toBe(true);
+  });
+
+  it("fills {status} with the catalog label, not the stored value", () => {
+    const result = validateStudent(
+      student({ status: "Suspended" }),
+      {
+        ...settings,
+        statusCatalog: [
+          { value: "Suspended", label: "On Hold", color: "red", active: true },
+        ],
+      },
+      TODAY
+    );
+    expect(result.message).toBe('Students with status "On Hold" are not allowed to check in.');
+  });
+});
+
+describe.each([
+  ["class-end", "endOfClassDate", "enforceClassEndDate", "classEndGraceDays", "class"],
+  [
+    "practice-end",
+    "endOfPracticeDate",
+    "enforcePracticeEndDate",
+    "practiceEndGraceDays",
+    "practice",
+  ],
+])("%s rule", (ruleId, field, enforceSetting, graceSetting, label) => {
+  const ended = student({ [field]: END_DATE });
+
+  it("does nothing while enforcement is off", () => {
+    expect(validateStudent(ended, { [enforceSetting]: false }, TODAY).valid).toBe(true);
+  });
+
+  it("blocks once the end date has passed", () => {
+    expect(validateStudent(ended, { [enforceSetting]: true }, TODAY)).toEqual({
+      valid: false,
+      rule: ruleId,
+      message: `Your ${label} end date has passed. Please contact administration.`,
+    });
+  });
+
+  it("allows check-in on the end date itself", () => {
+    const onEndDate = new Date("2025-03-05T18:00:00");
+    expect(validateStudent(ended, { [enforceSetting]: true }, onEndDate).valid).toBe(true);
+  });
+
+  it("ignores students without the end date", () => {
+    expect(validateStudent(student(), { [enforceSetting]: true }, TODAY).valid).toBe(true);
+  });
+
+  it("allows check-in during the grace days", () => {
+    // Five days past the end date, five grace days: today is the last one
+    const settings = { [enforceSetting]: true, [graceSetting]: 5 };
+    expect(validateStudent(ended, settings, TODAY).valid).toBe(true);
+  });
+
+  it("blocks after the grace days", () => {
+    const settings = { [enforceSetting]: true, [graceSetting]: 4 };
+    expect(validateStudent(ended, settings, TODAY).rule).toBe(ruleId);
+  });
+});
+
+describe("severity overrides", () => {
+  const suspended = student({ status: "Suspended" });
+
+  it("turns a block into a warning", () => {
+    const settings = {
+      blockedStatuses: ["Suspended"],
+      eligibilityRules: { status: { severity: "warn" } },
+    };
+    expect(evaluateEligibility(suspended, settings, TODAY)).toEqual({
+      blocks: [],
+      warnings: [
+        {
+          rule: "status",
+          message: 'Students with status "Suspended" are not allowed to check in.',
+        },
+      ],
+    });
+    expect(validateStudent(suspended, settings, TODAY)).toEqual({ valid: true });
+  });
+
+  it("ignores an unknown severity", () => {
+    const settings = {
+      blockedStatuses: ["Suspended"],
+      eligibilityRules: { status: { severity: "ignore" } },
+    };
+    expect(evaluateEligibility(suspended, settings, TODAY).blocks).toHaveLength(1);
+  });
+
+  it("reports the first block in rule order", () => {
+    const settings = {
+      blockedStatuses: ["Suspended"],
+      enforceClassEndDate: true,
+      enforcePracticeEndDate: true,
+      eligibilityRules: { status: { severity: "warn" } },
+    };
+    const both = student({
+      status: "Suspended",
+      endOfClassDate: END_DATE,
+      endOfPracticeDate: END_DATE,
+    });
+    const { blocks, warnings } = evaluateEligibility(both, settings, TODAY);
+    expect(blocks.map((b) => b.rule)).toEqual(["class-end", "practice-end"]);
+    expect(warnings.map((w) => w.rule)).toEqual(["status"]);
+    expect(validateStudent(both, settings, TODAY).rule).toBe("class-end");
+  });
+});
+
+describe("message templates", () => {
+  it("fills {name}, {status} and {date}", () => {
+    const settings = {
+      enforceClassEndDate: true,
+      eligibilityRules: {
+        "class-end": { message: "{name} ({status}): class ended {date}." },
+      },
+    };
+    const result = validateStudent(student({ endOfClassDate: END_DATE }), settings, TODAY);
+    expect(result.message).toBe(
+      `Dana (Current Student): class ended ${new Date(END_DATE).toLocaleDateString()}.`
+    );
+  });
+
+  it("leaves unknown placeholders as written", () => {
+    const settings = {
+      blockedStatuses: ["Suspended"],
+      eligibilityRules: { status: { message: "Hi {name}, see {desk}." } },
+    };
+    expect(validateStudent(student({ status: "Suspended" }), settings, TODAY).message).toBe(
+      "Hi Dana, see {desk}."
+    );
+  });
+
+  it("falls back to the default for a blank message", () => {
+    const settings = {
+      blockedStatuses: ["Suspended"],
+      eligibilityRules: { status: { message: "   " } },
+    };
+    expect(validateStudent(student({ status: "Suspended" }), settings, TODAY).message).toBe(
+      'Students with status "Suspended" are not allowed to check in.'
+    );
+  });
+});
+
+describe("archived students", () => {
+  const archived = student({ archivedAt: "2025-03-01T00:00:00" });
+
+  it("are blocked whatever the settings say", () => {
+    const settings = {
+      blockedStatuses: [],
+      eligibilityRules: { status: { severity: "warn" } },
+    };
+    expect(validateStudent(archived, settings, TODAY)).toEqual({
+      valid: false,
+      rule: "archived",
+      message: "Your student record is not active. Please contact administration.",
+    });
+  });
+
+  it("are blocked before settings have loaded", () => {
+    expect(validateStudent(archived, null, TODAY).rule).toBe("archived");
+  });
+});
+
+describe("without settings", () => {
+  it("blocks nobody", () => {
+    expect(evaluateEligibility(student({ status: "Suspended" }), null, TODAY)).toEqual({
+      blocks: [],
+      warnings: [],
+    });
+  });
+});
+
+describe("getEligibilityChanges", () => {
+  const active = student({ _id: "a" });
+  const suspended = student({ _id: "b", status: "Suspended" });
+  const graduate = student({ _id: "c", status: "Graduate" });
+
+  it("lists students blocked and unblocked by the draft", () => {
+    const saved = { blockedStatuses: ["Suspended"] };
+    const draft = { blockedStatuses: ["Graduate"] };
+    const { newlyBlocked, newlyUnblocked } = getEligibilityChanges(
+      [active, suspended, graduate],
+      saved,
+      draft,
+      TODAY
+    );
+    expect(newlyBlocked).toEqual([
+      {
+        student: graduate,
+        message: 'Students with status "Graduate" are not allowed to check in.',
+      },
+    ]);
+    expect(newlyUnblocked).toEqual([
+      {
+        student: suspended,
+        message: 'Students with status "Suspended" are not allowed to check in.',
+      },
+    ]);
+  });
+
+  it("reports nothing when the settings block the same students", () => {
+    const settings = { blockedStatuses: ["Suspended"] };
+    expect(
+      getEligibilityChanges([active, suspended], settings, { ...settings }, TODAY)
+    ).toEqual({ newlyBlocked: [], newlyUnblocked: [] });
+  });
+});
@@ -0,0 +1,71 @@
+// lib/endDates.js - Class/practice end dates: grace periods and warnings
+//
+// An end date is the last regular day. With enforcement on, check-in is
+// blocked once the end date plus its grace days has passed. The warning
+// window (endDateWarningDays) covers the days before the end date and any
+// grace days after it.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const END_DATE_FIELDS = {
+  class: {
+    field: "endOfClassDate",
+    label: "class",
+    enforceSetting: "enforceClassEndDate",
+    graceSetting: "classEndGraceDays",
+  },
+  practice: {
+    field: "endOfPracticeDate",
+    label: "practice",
+    enforceSetting: "enforcePracticeEndDate",
+    graceSetting: "practiceEndGraceDays",
+  },
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Whole days from today until the end date (negative once it has passed)
+const getDaysUntil = (dateString, today) =>
+  Math.round((startOfDay(dateString) - startOfDay(today)) / DAY_MS);
+
+// True once the end date and its grace days are over
+export const isPastEndDate = (dateString, graceDays = 0, today = new Date()) =>
+  getDaysUntil(dateString, today) + (graceDays || 0) < 0;
+
+const pluralDays = (days) => `${days} day${days !== 1 ? "s" : ""}`;
+
+// [{ type, daysLeft, message }] for end dates inside the warning window.
+// daysLeft counts down to the end date; it is negative during grace days.
+export const getEndDateWarnings = (student, settings, today = new Date()) => {
+  const warningDays = settings?.endDateWarningDays || 0;
+  if (!student || warningDays <= 0) return [];
+
+  return Object.entries(END_DATE_FIELDS).flatMap(([type, config]) => {
+    const dateString = student[config.field];
+    if (!dateString) return [];
+
+    const daysLeft = getDaysUntil(dateString, today);
+    const enforced = !!settings[config.enforceSetting];
+    const graceDays = enforced ? settings[config.graceSetting] || 0 : 0;
+
+    if (daysLeft > warningDays) return [];
+    if (daysLeft < 0 && (!enforced || daysLeft + graceDays < 0)) return [];
+
+    let message;
+    if (daysLeft > 0) {
+      message = `Your ${config.label} period ends in ${pluralDays(daysLeft)} — see the front desk.`;
+    } else if (daysLeft === 0) {
+      message = `Your ${config.label} period ends today — see the front desk.`;
+    } else {
+      const remaining = daysLeft + graceDays;
+      message = `Your ${config.label} period has ended. Check-in will be blocked ${
+        remaining === 0 ? "after today" : `in ${pluralDays(remaining + 1)}`
+      } — see the front desk.`;
+    }
+    return [{ type, daysLeft, message }];
+  });
+};
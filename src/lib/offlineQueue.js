@@ -0,0 +1,177 @@
+// lib/offlineQueue.js - IndexedDB cache and check-in queue for offline kiosks
+const DB_NAME = "ceg-kiosk";
+const DB_VERSION = 1;
+const CACHE_STORE = "cache";
+const QUEUE_STORE = "queue";
+
+const openDatabase = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(CACHE_STORE)) {
+        db.createObjectStore(CACHE_STORE);
+      }
+      if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+        // Auto-increment keys keep queued events in the order they happened
+        db.createObjectStore(QUEUE_STORE, { keyPath: "id", autoIncrement: true });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const runTransaction = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+export const cacheSet = (key, value) =>
+  runTransaction(CACHE_STORE, "readwrite", (store) => store.put(value, key));
+
+export const cacheGet = (key) =>
+  runTransaction(CACHE_STORE, "readonly", (store) => store.get(key));
+
+const PIN_PROOF_ITERATIONS = 100000;
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+
+// Shows the server that whoever queued an event knew the PIN, without the
+// kiosk keeping the PIN: PBKDF2-SHA256 of the PIN, salted with the student,
+// the event time and a random nonce. The server derives the same bits from
+// the PIN it holds. The iterations only slow down guessing a short PIN from
+// a stolen proof; they do not prevent it.
+export const createPinProof = async (pin, studentId, timestamp) => {
+  const nonce = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", encoder.encode(pin), "PBKDF2", false, [
+    "deriveBits",
+  ]);
+  const bits = await crypto.subtle.deriveBits(
+    {
+      name: "PBKDF2",
+      hash: "SHA-256",
+      salt: encoder.encode(`${studentId}|${timestamp}|${nonce}`),
+      iterations: PIN_PROOF_ITERATIONS,
+    },
+    key,
+    256
+  );
+  return {
+    algorithm: "PBKDF2-SHA256",
+    iterations: PIN_PROOF_ITERATIONS,
+    nonce,
+    hash: toBase64(bits),
+  };
+};
+
+// event: { studentId, studentName, type, game, timestamp } plus either the
+// checkinToken from an online PIN check or a pinProof when the PIN could not
+// be checked. type is "checkin", "checkout" or "switch-game".
+export const enqueueEvent = (event) =>
+  runTransaction(QUEUE_STORE, "readwrite", (store) => store.add(event));
+
+export const getQueuedEvents = () =>
+  runTransaction(QUEUE_STORE, "readonly", (store) => store.getAll());
+
+export const countQueuedEvents = () =>
+  runTransaction(QUEUE_STORE, "readonly", (store) => store.count());
+
+const removeQueuedEvent = (id) =>
+  runTransaction(QUEUE_STORE, "readwrite", (store) => store.delete(id));
+
+const reportConflict = (api, event, response, errorData) =>
+  fetch(`${api}/sync-conflicts`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      studentId: event.studentId,
+      studentName: event.studentName,
+      type: event.type,
+      timestamp: event.timestamp,
+      status: response.status,
+      error: errorData.error || response.statusText,
+      reportedAt: new Date().toISOString(),
+    }),
+  });
+
+// Replays queued events oldest first. Stops at the first network or server
+// error so later events are never applied ahead of earlier ones. Rejected
+// events (wrong PIN, check-out with no open session, ...) are reported as
+// sync conflicts for admins and then dropped from the queue.
+// A token is sent as it is online; the server accepts it if it was valid at
+// the event's timestamp.
+const replayEvents = async (api) => {
+  const events = await getQueuedEvents();
+  let replayed = 0;
+  let conflicts = 0;
+
+  for (const event of events) {
+    try {
+      const response = await fetch(
+        `${api}/users/${event.studentId}/${event.type}`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...(event.checkinToken && { Authorization: `Bearer ${event.checkinToken}` }),
+          },
+          body: JSON.stringify({
+            ...(event.pinProof && { pinProof: event.pinProof }),
+            game: event.game,
+            timestamp: event.timestamp,
+            offline: true,
+          }),
+        }
+      );
+
+      if (response.status >= 500) {
+        return { reachable: true, replayed, conflicts };
+      }
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        const report = await reportConflict(api, event, response, errorData);
+        if (!report.ok) {
+          return { reachable: true, replayed, conflicts };
+        }
+        conflicts++;
+      } else {
+        replayed++;
+      }
+
+      await removeQueuedEvent(event.id);
+    } catch (err) {
+      return { reachable: false, replayed, conflicts };
+    }
+  }
+
+  return { reachable: true, replayed, conflicts };
+};
+
+// The kiosk syncs on load, on a timer and when the browser comes back
+// online. Calls made while a replay is running share it, so two runs never
+// read the same queue and post an event twice.
+let replayInFlight = null;
+
+export const replayQueuedEvents = (api) => {
+  if (!replayInFlight) {
+    replayInFlight = replayEvents(api).finally(() => {
+      replayInFlight = null;
+    });
+  }
+  return replayInFlight;
+};
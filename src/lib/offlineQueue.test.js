@@ -0,0 +1,107 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createPinProof, replayQueuedEvents } from "@/lib/offlineQueue";
+
+// Just enough of IndexedDB for the queue store: getAll, delete and count
+const fakeIndexedDB = (events) => {
+  const rows = new Map(events.map((event) => [event.id, event]));
+  const store = {
+    getAll: () => ({ result: [...rows.values()] }),
+    delete: (id) => ({ result: rows.delete(id) }),
+    count: () => ({ result: rows.size }),
+  };
+  const db = {
+    objectStoreNames: { contains: () => true },
+    close: () => {},
+    transaction: () => {
+      const transaction = { objectStore: () => store };
+      setTimeout(() => transaction.oncomplete());
+      return transaction;
+    },
+  };
+  return {
+    open: () => {
+      const request = { result: db };
+      setTimeout(() => request.onsuccess());
+      return request;
+    },
+  };
+};
+
+// What the server does with the PIN it holds
+const deriveHash = async (pin, studentId, timestamp, proof) => {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", encoder.encode(pin), "PBKDF2", false, [
+    "deriveBits",
+  ]);
+  const bits = await crypto.subtle.deriveBits(
+    {
+      name: "PBKDF2",
+      hash: "SHA-256",
+      salt: encoder.encode(`${studentId}|${timestamp}|${proof.nonce}`),
+      iterations: proof.iterations,
+    },
+    key,
+    256
+  );
+  return Buffer.from(bits).toString("base64");
+};
+
+describe("createPinProof", () => {
+  const timestamp = "2025-03-10T12:00:00.000Z";
+
+  it("can be verified with the right PIN but does not contain it", async () => {
+    const proof = await createPinProof("4829", "s1", timestamp);
+    expect(JSON.stringify(proof)).not.toContain("4829");
+    expect(await deriveHash("4829", "s1", timestamp, proof)).toBe(proof.hash);
+    expect(await deriveHash("4828", "s1", timestamp, proof)).not.toBe(proof.hash);
+  });
+
+  it("is bound to the student and the event time", async () => {
+    const proof = await createPinProof("4829", "s1", timestamp);
+    expect(await deriveHash("4829", "s2", timestamp, proof)).not.toBe(proof.hash);
+    expect(await deriveHash("4829", "s1", "2025-03-11T12:00:00.000Z", proof)).not.toBe(
+      proof.hash
+    );
+  });
+
+  it("differs every time for the same PIN", async () => {
+    const first = await createPinProof("4829", "s1", timestamp);
+    const second = await createPinProof("4829", "s1", timestamp);
+    expect(first.hash).not.toBe(second.hash);
+  });
+});
+
+describe("replayQueuedEvents", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("posts each event once when syncs overlap", async () => {
+    vi.stubGlobal(
+      "indexedDB",
+      fakeIndexedDB([
+        { id: 1, studentId: "s1", type: "checkin", timestamp: "t1", checkinToken: "abc" },
+        { id: 2, studentId: "s1", type: "checkout", timestamp: "t2", checkinToken: "abc" },
+      ])
+    );
+    const fetch = vi.fn(async () => ({ ok: true, status: 200 }));
+    vi.stubGlobal("fetch", fetch);
+
+    const results = await Promise.all([
+      replayQueuedEvents("/api"),
+      replayQueuedEvents("/api"),
+      replayQueuedEvents("/api"),
+    ]);
+
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+      "/api/users/s1/checkin",
+      "/api/users/s1/checkout",
+    ]);
+    expect(results[0]).toEqual({ reachable: true, replayed: 2, conflicts: 0 });
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBe("Bearer abc");
+
+    // A later sync starts a new run over what is left
+    await replayQueuedEvents("/api");
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
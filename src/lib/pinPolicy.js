@@ -0,0 +1,112 @@
+// lib/pinPolicy.js - Student PIN rules, uniqueness and generation
+//
+// settings.pinPolicy:
+// { minLength, maxLength, digitsOnly, blockTrivial }
+// Trivial PINs are one repeated character or a straight run up or down
+// ("1111", "1234", "9876"). The API enforces the same rules and answers a
+// PIN already in use with 409.
+import { escapeHtml, renderPrintDocument } from "@/lib/badges";
+
+export const DEFAULT_PIN_POLICY = {
+  minLength: 4,
+  maxLength: 6,
+  digitsOnly: true,
+  blockTrivial: true,
+};
+
+export const getPinPolicy = (settings) => ({
+  ...DEFAULT_PIN_POLICY,
+  ...(settings?.pinPolicy || {}),
+});
+
+export const describePinPolicy = (policy) =>
+  [
+    policy.minLength === policy.maxLength
+      ? `${policy.minLength} ${policy.digitsOnly ? "digits" : "characters"}`
+      : `${policy.minLength}-${policy.maxLength} ${
+          policy.digitsOnly ? "digits" : "characters"
+        }`,
+    policy.blockTrivial && "no repeats or runs like 1234",
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+export const isTrivialPin = (pin) => {
+  const codes = Array.from(pin, (char) => char.charCodeAt(0));
+  const step = codes[1] - codes[0];
+  return (
+    codes.length > 1 &&
+    Math.abs(step) <= 1 &&
+    codes.every((code, i) => i === 0 || code - codes[i - 1] === step)
+  );
+};
+
+// Students (other than studentId) who already have this PIN. Archived
+// students count, since they can be restored.
+export const findPinOwner = (pin, students, studentId) =>
+  students.find((s) => s._id !== studentId && s.pin && String(s.pin) === pin);
+
+// An error message, or "" when the PIN can be used
+export const validatePin = (pin, policy, students = [], studentId) => {
+  if (!pin) return "PIN is required";
+  if (policy.digitsOnly && !/^\d+$/.test(pin)) return "PIN must be digits only";
+  if (pin.length < policy.minLength || pin.length > policy.maxLength) {
+    return `PIN must be ${describePinPolicy({ ...policy, blockTrivial: false })}`;
+  }
+  if (policy.blockTrivial && isTrivialPin(pin)) {
+    return "PIN is too easy to guess; avoid repeats and runs like 1234";
+  }
+  const owner = findPinOwner(pin, students, studentId);
+  if (owner) {
+    return `PIN is already used by ${owner.firstName || ""} ${owner.lastName || ""}`.trim();
+  }
+  return "";
+};
+
+// A random compliant PIN not in takenPins (a Set), or null when none is
+// found, e.g. a 4-digit policy on a very large roster
+export const generatePin = (policy, takenPins = new Set()) => {
+  const length = policy.minLength;
+  for (let attempt = 0; attempt < 1000; attempt++) {
+    const digits = crypto.getRandomValues(new Uint32Array(length));
+    const pin = Array.from(digits, (n) => n % 10).join("");
+    if (takenPins.has(pin)) continue;
+    if (policy.blockTrivial && isTrivialPin(pin)) continue;
+    return pin;
+  }
+  return null;
+};
+
+export const getTakenPins = (students) =>
+  new Set(students.filter((s) => s.pin).map((s) => String(s.pin)));
+
+const HANDOUT_STYLES = `
+  @page { size: letter; margin: 0.5in; }
+  body { margin: 0; font-family: Arial, Helvetica, sans-serif; }
+  h1 { font-size: 14pt; margin: 0 0 0.2in; }
+  .slip { display: flex; justify-content: space-between; align-items: center; padding: 0.15in 0.2in; border-bottom: 1px dashed #9ca3af; page-break-inside: avoid; }
+  .name { font-size: 12pt; }
+  .pin { font-family: monospace; font-size: 16pt; font-weight: bold; letter-spacing: 0.1em; }
+  .note { font-size: 8pt; color: #6b7280; }
+`;
+
+// One slip per student to cut out and hand over: [{ student, pin }]
+export const renderPinHandout = (rows) =>
+  renderPrintDocument(
+    "Student PINs",
+    HANDOUT_STYLES,
+    `<h1>New check-in PINs — ${escapeHtml(new Date().toLocaleDateString())}</h1>${rows
+      .map(
+        ({ student, pin }) => `
+  <div class="slip">
+    <div>
+      <div class="name">${escapeHtml(
+        `${student.firstName || ""} ${student.lastName || ""}`.trim()
+      )}</div>
+      <div class="note">Your new PIN for the check-in kiosk. Keep it private.</div>
+    </div>
+    <div class="pin">${escapeHtml(pin)}</div>
+  </div>`
+      )
+      .join("")}`
+  );
@@ -0,0 +1,56 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_PIN_POLICY,
+  findPinOwner,
+  generatePin,
+  getPinPolicy,
+  isTrivialPin,
+  validatePin,
+} from "@/lib/pinPolicy";
+
+describe("getPinPolicy", () => {
+  it("uses the defaults for missing or null rules", () => {
+    expect(getPinPolicy(null)).toEqual(DEFAULT_PIN_POLICY);
+    expect(getPinPolicy({ pinPolicy: null })).toEqual(DEFAULT_PIN_POLICY);
+  });
+
+  it("fills partial rules from the defaults", () => {
+    expect(getPinPolicy({ pinPolicy: { maxLength: 12 } })).toEqual({
+      ...DEFAULT_PIN_POLICY,
+      maxLength: 12,
+    });
+  });
+});
+
+describe("validatePin", () => {
+  const policy = { minLength: 4, maxLength: 12, digitsOnly: true, blockTrivial: true };
+
+  it("accepts PINs up to the maximum length", () => {
+    expect(validatePin("482193058172", policy)).toBe("");
+    expect(validatePin("4821930581725", policy)).toBe("PIN must be 4-12 digits");
+  });
+
+  it("rejects repeats and runs", () => {
+    expect(isTrivialPin("1111")).toBe(true);
+    expect(isTrivialPin("9876")).toBe(true);
+    expect(validatePin("1234", policy)).toMatch(/too easy/);
+  });
+
+  it("finds PINs stored as numbers", () => {
+    const students = [{ _id: "s1", firstName: "Dana", lastName: "Reyes", pin: 4821 }];
+    expect(findPinOwner("4821", students, "s2")).toBe(students[0]);
+    expect(validatePin("4821", policy, students, "s1")).toBe("");
+    expect(validatePin("4821", policy, students, "s2")).toBe(
+      "PIN is already used by Dana Reyes"
+    );
+  });
+});
+
+describe("generatePin", () => {
+  it("returns a compliant PIN that is not taken", () => {
+    const policy = { ...DEFAULT_PIN_POLICY, minLength: 4 };
+    const pin = generatePin(policy, new Set(["4821"]));
+    expect(validatePin(pin, policy)).toBe("");
+    expect(pin).not.toBe("4821");
+  });
+});
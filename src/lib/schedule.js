@@ -0,0 +1,106 @@
+// lib/schedule.js - School operating hours and closure calendar
+//
+// settings.operatingHours:
+// { enabled, capSessionsAtClosing,
+//   weekly: { monday: { closed, open: "09:00", close: "22:00" }, ... },
+//   closures: [{ start: "2025-12-24", end: "2025-12-26", label }] }
+// Times are local to the kiosk. Hours past midnight are not supported.
+
+export const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+export const WEEKDAY_LABELS = {
+  sunday: "Sunday",
+  monday: "Monday",
+  tuesday: "Tuesday",
+  wednesday: "Wednesday",
+  thursday: "Thursday",
+  friday: "Friday",
+  saturday: "Saturday",
+};
+
+export const DEFAULT_OPERATING_HOURS = {
+  enabled: false,
+  capSessionsAtClosing: true,
+  weekly: Object.fromEntries(
+    WEEKDAYS.map((day) => [
+      day,
+      { closed: day === "sunday", open: "09:00", close: "22:00" },
+    ])
+  ),
+  closures: [],
+};
+
+// YYYY-MM-DD in local time, comparable as a string
+export const toDateKey = (date) =>
+  new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+    .toISOString()
+    .split("T")[0];
+
+const atTime = (date, time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  const result = new Date(date);
+  result.setHours(hours, minutes, 0, 0);
+  return result;
+};
+
+const formatTime = (time) =>
+  atTime(new Date(), time).toLocaleTimeString([], {
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+export const getClosure = (operatingHours, date) => {
+  const key = toDateKey(date);
+  return (operatingHours?.closures || []).find(
+    (closure) => closure.start <= key && key <= (closure.end || closure.start)
+  );
+};
+
+// { open: Date, close: Date } for the day, or null when closed all day
+export const getOpeningHours = (operatingHours, date) => {
+  if (getClosure(operatingHours, date)) return null;
+  const day = operatingHours?.weekly?.[WEEKDAYS[date.getDay()]];
+  if (!day || day.closed) return null;
+  return { open: atTime(date, day.open), close: atTime(date, day.close) };
+};
+
+// { open: true } or { open: false, message } for the kiosk
+export const checkSchoolOpen = (operatingHours, now = new Date()) => {
+  if (!operatingHours?.enabled) return { open: true };
+
+  const closure = getClosure(operatingHours, now);
+  if (closure) {
+    return {
+      open: false,
+      message: `The school is closed today${
+        closure.label ? ` (${closure.label})` : ""
+      }. Check-in is not available.`,
+    };
+  }
+
+  const hours = getOpeningHours(operatingHours, now);
+  if (!hours) {
+    return {
+      open: false,
+      message: "The school is closed today. Check-in is not available.",
+    };
+  }
+  if (now < hours.open || now >= hours.close) {
+    const day = operatingHours.weekly[WEEKDAYS[now.getDay()]];
+    return {
+      open: false,
+      message: `Check-in is only available during opening hours, ${formatTime(
+        day.open
+      )} to ${formatTime(day.close)} today.`,
+    };
+  }
+  return { open: true };
+};
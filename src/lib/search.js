@@ -0,0 +1,235 @@
+// lib/search.js - Student name search shared by the kiosk and admin roster
+//
+// Each query term is scored against every searchable field and the best
+// score counts; every term has to match something for a student to be
+// returned. Name matching folds accents, splits hyphenated names and
+// tolerates typos (edit distance), sound-alikes (Soundex) and nicknames.
+
+// Canonical name -> nicknames. Admins can replace this table in settings.
+export const DEFAULT_NICKNAMES = {
+  alexander: ["alex", "xander"],
+  alexandra: ["alex", "sasha", "lexi"],
+  anthony: ["tony"],
+  benjamin: ["ben", "benny"],
+  charles: ["charlie", "chuck"],
+  christina: ["chris", "tina"],
+  christopher: ["chris", "topher"],
+  daniel: ["dan", "danny"],
+  deborah: ["deb", "debbie"],
+  edward: ["ed", "eddie", "ted"],
+  elizabeth: ["liz", "beth", "betty", "eliza", "lizzie"],
+  francisco: ["paco", "frank"],
+  guadalupe: ["lupe"],
+  james: ["jim", "jimmy", "jamie"],
+  jennifer: ["jen", "jenny"],
+  john: ["jack", "johnny"],
+  jonathan: ["jon", "johnny"],
+  joseph: ["joe", "joey"],
+  katherine: ["kate", "kathy", "katie", "kat"],
+  margaret: ["maggie", "meg", "peggy"],
+  matthew: ["matt"],
+  michael: ["mike", "mikey", "mick"],
+  nicholas: ["nick", "nicky"],
+  patricia: ["pat", "patty", "trish"],
+  rebecca: ["becky"],
+  richard: ["rick", "ricky", "rich", "dick"],
+  robert: ["bob", "bobby", "rob", "robbie"],
+  samantha: ["sam"],
+  samuel: ["sam", "sammy"],
+  stephen: ["steve"],
+  steven: ["steve"],
+  susan: ["sue", "susie"],
+  thomas: ["tom", "tommy"],
+  victoria: ["vicky", "tori"],
+  william: ["bill", "billy", "will", "willy", "liam"],
+};
+
+export const normalizeText = (text) =>
+  String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’.]/g, "")
+    .trim();
+
+// "Garcia-Lopez" matches "garcia", "lopez" and "garcialopez"
+const getNameTokens = (value) => {
+  const parts = normalizeText(value).split(/[\s-]+/).filter(Boolean);
+  return parts.length > 1 ? [...parts, parts.join("")] : parts;
+};
+
+// Optimal string alignment distance (Levenshtein plus adjacent swaps, so
+// "jonh" is one edit from "john")
+export const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+const SOUNDEX_CODES = {
+  b: "1", f: "1", p: "1", v: "1",
+  c: "2", g: "2", j: "2", k: "2", q: "2", s: "2", x: "2", z: "2",
+  d: "3", t: "3",
+  l: "4",
+  m: "5", n: "5",
+  r: "6",
+};
+
+export const soundex = (word) => {
+  const letters = word.replace(/[^a-z]/g, "");
+  if (!letters) return "";
+
+  let code = letters[0].toUpperCase();
+  let previous = SOUNDEX_CODES[letters[0]] || "";
+  for (const letter of letters.slice(1)) {
+    const digit = SOUNDEX_CODES[letter] || "";
+    if (digit && digit !== previous) code += digit;
+    // h and w do not separate letters with the same code
+    if (letter !== "h" && letter !== "w") previous = digit;
+    if (code.length === 4) break;
+  }
+  return code.padEnd(4, "0");
+};
+
+// Every name in a nickname group is equivalent to every other name in it.
+// A missing or null table (settings never saved) means the default one.
+const nicknameIndexCache = new WeakMap();
+const getNicknameIndex = (nicknames) => {
+  const table = nicknames && typeof nicknames === "object" ? nicknames : DEFAULT_NICKNAMES;
+  if (nicknameIndexCache.has(table)) return nicknameIndexCache.get(table);
+
+  const index = new Map();
+  Object.entries(table).forEach(([canonical, nicknames]) => {
+    const group = [canonical, ...nicknames].map(normalizeText).filter(Boolean);
+    group.forEach((name) => {
+      const equivalents = index.get(name) || new Set();
+      group.forEach((other) => other !== name && equivalents.add(other));
+      index.set(name, equivalents);
+    });
+  });
+  nicknameIndexCache.set(table, index);
+  return index;
+};
+
+// True when two names are in the same nickname group ("bill" and "william")
+export const areNicknames = (a, b, table = DEFAULT_NICKNAMES) =>
+  !!getNicknameIndex(table).get(normalizeText(a))?.has(normalizeText(b));
+
+const scoreNameToken = (term, token, nicknameIndex) => {
+  if (token === term) return 5;
+  if (nicknameIndex.get(term)?.has(token)) return 4;
+  if (token.startsWith(term)) return 3;
+  if (term.length >= 2 && token.includes(term)) return 2;
+  if (term.length >= 4) {
+    const maxDistance = term.length >= 7 ? 2 : 1;
+    if (editDistance(term, token) <= maxDistance) return 2;
+    // A typo in a name that is still being typed ("jonh" -> "johnathan")
+    if (editDistance(term, token.slice(0, term.length)) <= 1) return 1;
+  }
+  if (term.length >= 3 && /^[a-z]+$/.test(term) && soundex(term) === soundex(token)) {
+    return 1;
+  }
+  return 0;
+};
+
+const FIELD_SCORERS = {
+  name: (student, term, nicknameIndex) =>
+    Math.max(
+      0,
+      ...[
+        ...getNameTokens(student.firstName),
+        ...getNameTokens(student.lastName),
+      ].map((token) => scoreNameToken(term, token, nicknameIndex))
+    ),
+  email: (student, term) => {
+    const email = normalizeText(student.email);
+    if (!email) return 0;
+    if (email === term) return 5;
+    return email.includes(term) ? 1 : 0;
+  },
+  phone: (student, term) => {
+    const digits = term.replace(/\D/g, "");
+    const phone = String(student.phone || "").replace(/\D/g, "");
+    return digits.length >= 3 && phone.includes(digits) ? 2 : 0;
+  },
+  idNumber: (student, term) => {
+    const idNumber = normalizeText(student.idNumber).replace(/[\s-]/g, "");
+    if (!idNumber) return 0;
+    if (idNumber === term) return 5;
+    return term.length >= 3 && idNumber.includes(term) ? 2 : 0;
+  },
+  // PINs only ever match exactly
+  pin: (student, term) =>
+    student.pin && String(student.pin).trim() === term ? 5 : 0,
+};
+
+export const NAME_FIELDS = ["name"];
+export const ADMIN_SEARCH_FIELDS = ["name", "email", "phone", "idNumber", "pin"];
+
+// Returns matching students (with a _searchScore) sorted by relevance, then
+// last name, first name
+export const searchStudents = (
+  students,
+  query,
+  { nicknames = DEFAULT_NICKNAMES, fields = NAME_FIELDS } = {}
+) => {
+  const terms = normalizeText(query).split(/[\s-]+/).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  const nicknameIndex = getNicknameIndex(nicknames);
+
+  return students
+    .map((student) => {
+      let totalScore = 0;
+      for (const term of terms) {
+        const termScore = Math.max(
+          ...fields.map((field) =>
+            FIELD_SCORERS[field](student, term, nicknameIndex)
+          )
+        );
+        if (termScore === 0) return { ...student, _searchScore: 0 };
+        totalScore += termScore;
+      }
+      return { ...student, _searchScore: totalScore };
+    })
+    .filter((student) => student._searchScore > 0)
+    .sort((a, b) => {
+      if (a._searchScore !== b._searchScore) return b._searchScore - a._searchScore;
+      const aName = `${a.lastName || ""} ${a.firstName || ""}`.toLowerCase();
+      const bName = `${b.lastName || ""} ${b.firstName || ""}`.toLowerCase();
+      return aName.localeCompare(bName);
+    });
+};
+
+// Nickname table <-> "william: bill, billy, will" lines for the settings page
+export const formatNicknameTable = (table) =>
+  Object.entries(table)
+    .map(([canonical, nicknames]) => `${canonical}: ${nicknames.join(", ")}`)
+    .join("\n");
+
+export const parseNicknameTable = (text) => {
+  const table = {};
+  text.split("\n").forEach((line) => {
+    const [canonical, rest = ""] = line.split(":");
+    const name = normalizeText(canonical);
+    const nicknames = rest.split(",").map(normalizeText).filter(Boolean);
+    if (name && nicknames.length > 0) {
+      table[name] = [...(table[name] || []), ...nicknames];
+    }
+  });
+  return table;
+};
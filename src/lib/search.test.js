@@ -0,0 +1,20 @@
+import { describe, expect, it } from "vitest";
+import { areNicknames, searchStudents } from "@/lib/search";
+
+const students = [
+  { _id: "1", firstName: "William", lastName: "Jones" },
+  { _id: "2", firstName: "Mary", lastName: "Brown" },
+];
+
+describe("nickname table from settings", () => {
+  it.each([null, undefined])("falls back to the defaults when it is %s", (nicknames) => {
+    expect(searchStudents(students, "bill", { nicknames }).map((s) => s._id)).toEqual(["1"]);
+    expect(areNicknames("bill", "william", nicknames)).toBe(true);
+  });
+
+  it("uses a custom table instead of the defaults", () => {
+    const nicknames = { mary: ["mae"] };
+    expect(searchStudents(students, "mae", { nicknames }).map((s) => s._id)).toEqual(["2"]);
+    expect(areNicknames("bill", "william", nicknames)).toBe(false);
+  });
+});
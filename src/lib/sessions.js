@@ -0,0 +1,133 @@
+// lib/sessions.js - Per-game hours for check-in sessions
+//
+// A session records which games were practiced as gameSegments:
+// [{ game, start, end }]. The open segment has no end until the student
+// switches games or checks out. Sessions from before per-game logging have
+// no segments; their hours are reported under UNASSIGNED_GAME.
+import { UNASSIGNED_GAME, getGameDisplayName } from "@/lib/catalog";
+
+const HOUR_MS = 1000 * 60 * 60;
+
+export const getActiveSession = (sessions) =>
+  (sessions || []).find((session) => session.checkin && !session.checkout);
+
+export const getCurrentGame = (session) => {
+  const segments = session?.gameSegments || [];
+  const open = segments.find((segment) => !segment.end);
+  return open ? open.game : null;
+};
+
+// Sessions are addressed by their _id. A 404 means someone else changed or
+// removed the session after this page loaded.
+export const SESSION_NOT_FOUND_MESSAGE =
+  "That session no longer exists. It may have been changed by someone else; the history has been refreshed.";
+
+// End-of-day handling of sessions nobody checked out of. The API applies the
+// policy nightly and marks the sessions it closes with
+// session.systemClosed: { policy, closedAt, reviewed }
+// "closing-time" uses the day's closing time from settings.operatingHours
+// (lib/schedule.js), so there is one closing time to maintain. Sessions
+// started after it, or on a day with no hours, are closed at midnight.
+export const OPEN_SESSION_POLICIES = {
+  none: "Leave open",
+  "closing-time": "Close at the day's closing time",
+  "max-hours": "Close after a maximum number of hours",
+  flag: "Close with 0 hours and flag for review",
+};
+
+export const DEFAULT_OPEN_SESSION_POLICY = {
+  mode: "none",
+  maxHours: 8,
+};
+
+export const isSystemClosed = (session) => !!session.systemClosed;
+
+export const formatSystemClosed = (session) => {
+  if (!session.systemClosed) return "";
+  return session.systemClosed.policy === "flag"
+    ? "Flagged (0 hours credited)"
+    : "System closed";
+};
+
+export const calculateSessionHours = (checkin, checkout) =>
+  Math.max(0, new Date(checkout) - new Date(checkin)) / HOUR_MS;
+
+// Admin corrections are appended by the API as
+// session.corrections: [{ reason, correctedAt, correctedBy }]
+export const isSessionEdited = (session) =>
+  (session.corrections || []).length > 0;
+
+export const formatSessionCorrections = (session) =>
+  (session.corrections || []).map((c) => c.reason).join("; ");
+
+// Clock hours per game between check-in and checkout
+const splitSessionByGame = (session) => {
+  const segments = session.gameSegments || [];
+  if (segments.length === 0) {
+    return session.hours ? { [UNASSIGNED_GAME]: session.hours } : {};
+  }
+
+  const checkin = new Date(session.checkin).getTime();
+  const checkout = new Date(session.checkout).getTime();
+  const firstStart = Math.min(
+    ...segments.map((segment) => new Date(segment.start).getTime())
+  );
+  return segments.reduce((totals, segment) => {
+    const segmentStart = new Date(segment.start).getTime();
+    const start =
+      segmentStart === firstStart ? checkin : Math.max(segmentStart, checkin);
+    const end = Math.min(
+      segment.end ? new Date(segment.end).getTime() : checkout,
+      checkout
+    );
+    const hours = Math.max(0, end - start) / HOUR_MS;
+    totals[segment.game] = (totals[segment.game] || 0) + hours;
+    return totals;
+  }, {});
+};
+
+// Hours per game for a completed session. Segments are clipped to the
+// session's check-in and checkout, and the first segment starts at check-in,
+// so corrected or capped times are respected. The split is then scaled to
+// the hours actually credited, so a flagged session (0 hours) credits no
+// game and the games never add up to more than the session.
+export const getSessionGameHours = (session) => {
+  if (!session.checkout) return {};
+  const split = splitSessionByGame(session);
+  if (typeof session.hours !== "number") return split;
+
+  const total = Object.values(split).reduce((sum, hours) => sum + hours, 0);
+  if (session.hours === 0) return {};
+  if (total === 0) return { [UNASSIGNED_GAME]: session.hours };
+  return Object.fromEntries(
+    Object.entries(split).map(([game, hours]) => [
+      game,
+      (hours / total) * session.hours,
+    ])
+  );
+};
+
+export const getGameHoursBreakdown = (sessions) =>
+  (sessions || []).reduce((totals, session) => {
+    Object.entries(getSessionGameHours(session)).forEach(([game, hours]) => {
+      totals[game] = (totals[game] || 0) + hours;
+    });
+    return totals;
+  }, {});
+
+// Games that appear in any of the sessions, for per-game export columns
+export const getGamesInSessions = (sessions) =>
+  Object.keys(getGameHoursBreakdown(sessions)).sort((a, b) =>
+    a === UNASSIGNED_GAME ? 1 : b === UNASSIGNED_GAME ? -1 : a.localeCompare(b)
+  );
+
+// "Craps 1.50, Roulette 0.75" for tables and exports
+export const formatSessionGames = (session, catalogs) => {
+  const segments = session.gameSegments || [];
+  if (!session.checkout) {
+    return segments.map((segment) => getGameDisplayName(catalogs, segment.game)).join(", ");
+  }
+  return Object.entries(getSessionGameHours(session))
+    .map(([game, hours]) => `${getGameDisplayName(catalogs, game)} ${hours.toFixed(2)}`)
+    .join(", ");
+};
@@ -0,0 +1,92 @@
+import { describe, expect, it } from "vitest";
+import { getGameHoursBreakdown, getSessionGameHours } from "@/lib/sessions";
+
+const session = (checkin, checkout, segments) => ({
+  checkin: `2025-03-10T${checkin}:00`,
+  checkout: `2025-03-10T${checkout}:00`,
+  gameSegments: segments.map(([game, start, end]) => ({
+    game,
+    start: `2025-03-10T${start}:00`,
+    ...(end && { end: `2025-03-10T${end}:00` }),
+  })),
+});
+
+describe("getSessionGameHours", () => {
+  it("splits the session between its games", () => {
+    expect(
+      getSessionGameHours(
+        session("10:00", "13:00", [
+          ["craps", "10:00", "11:30"],
+          ["poker", "11:30", null],
+        ])
+      )
+    ).toEqual({ craps: 1.5, poker: 1.5 });
+  });
+
+  it("clips segments to a corrected earlier checkout", () => {
+    expect(
+      getSessionGameHours(
+        session("10:00", "11:00", [
+          ["craps", "10:00", "11:30"],
+          ["poker", "11:30", "13:00"],
+        ])
+      )
+    ).toEqual({ craps: 1, poker: 0 });
+  });
+
+  it("clips segments to a corrected later check-in", () => {
+    expect(
+      getSessionGameHours(
+        session("11:45", "13:00", [
+          ["craps", "10:00", "11:30"],
+          ["poker", "11:30", null],
+        ])
+      )
+    ).toEqual({ craps: 0, poker: 1.25 });
+  });
+
+  it("extends the first game back to a corrected earlier check-in", () => {
+    expect(
+      getSessionGameHours(
+        session("09:00", "12:00", [
+          ["craps", "10:00", "11:00"],
+          ["poker", "11:00", null],
+        ])
+      )
+    ).toEqual({ craps: 2, poker: 1 });
+  });
+
+  it("credits no game for a session flagged with 0 hours", () => {
+    const flagged = {
+      ...session("18:00", "23:59", [["craps", "18:00", null]]),
+      hours: 0,
+      systemClosed: { policy: "flag" },
+    };
+    expect(getSessionGameHours(flagged)).toEqual({});
+    expect(getGameHoursBreakdown([flagged])).toEqual({});
+  });
+
+  it("scales the split to the hours credited", () => {
+    expect(
+      getSessionGameHours({
+        ...session("10:00", "14:00", [
+          ["craps", "10:00", "13:00"],
+          ["poker", "13:00", null],
+        ]),
+        hours: 2,
+      })
+    ).toEqual({ craps: 1.5, poker: 0.5 });
+  });
+
+  it("reports sessions without segments as unassigned", () => {
+    expect(
+      getSessionGameHours({ checkin: "x", checkout: "y", hours: 2, gameSegments: [] })
+    ).toEqual({ unassigned: 2 });
+  });
+
+  it("counts nothing for an open session", () => {
+    expect(getSessionGameHours({ checkin: "2025-03-10T10:00:00", gameSegments: [] })).toEqual(
+      {}
+    );
+  });
+});
@@ -0,0 +1,171 @@
+// lib/spreadsheet.js - Read CSV and XLSX files into rows of cell strings
+//
+// XLSX files are zip archives of XML. Only what an exported roster needs is
+// read: the first worksheet, shared and inline strings, and cell values as
+// stored (dates stay Excel serial numbers; see parseImportDate).
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and line breaks
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// { [path]: Uint8Array } for the requested files in a zip archive
+const readZipEntries = async (buffer, paths) => {
+  const view = new DataView(buffer);
+  let end = buffer.byteLength - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+  if (end < 0) throw new Error("Not a valid XLSX file");
+
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  const files = {};
+
+  for (let i = 0; i < count; i++) {
+    const method = view.getUint16(offset + 10, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(
+      new Uint8Array(buffer, offset + 46, nameLength)
+    );
+    offset += 46 + nameLength + extraLength + commentLength;
+    if (!paths.includes(name)) continue;
+
+    const dataStart =
+      localOffset +
+      30 +
+      view.getUint16(localOffset + 26, true) +
+      view.getUint16(localOffset + 28, true);
+    const data = new Uint8Array(buffer, dataStart, size);
+    files[name] =
+      method === 0
+        ? data
+        : new Uint8Array(
+            await new Response(
+              new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"))
+            ).arrayBuffer()
+          );
+  }
+  return files;
+};
+
+const parseXml = (bytes) =>
+  new DOMParser().parseFromString(new TextDecoder().decode(bytes), "application/xml");
+
+const getText = (element) =>
+  Array.from(element.getElementsByTagName("t"))
+    .map((t) => t.textContent)
+    .join("");
+
+// "C12" -> 2
+const getColumnIndex = (ref) =>
+  ref
+    .replace(/\d+/g, "")
+    .split("")
+    .reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+const resolveSheetPath = async (buffer) => {
+  const files = await readZipEntries(buffer, [
+    "xl/workbook.xml",
+    "xl/_rels/workbook.xml.rels",
+  ]);
+  if (!files["xl/workbook.xml"]) throw new Error("Not a valid XLSX file");
+
+  const sheet = parseXml(files["xl/workbook.xml"]).getElementsByTagName("sheet")[0];
+  const relationId = sheet?.getAttribute("r:id");
+  const relation = files["xl/_rels/workbook.xml.rels"]
+    ? Array.from(
+        parseXml(files["xl/_rels/workbook.xml.rels"]).getElementsByTagName(
+          "Relationship"
+        )
+      ).find((rel) => rel.getAttribute("Id") === relationId)
+    : null;
+  const target = relation?.getAttribute("Target") || "worksheets/sheet1.xml";
+  return target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+};
+
+export const parseXLSX = async (buffer) => {
+  const sheetPath = await resolveSheetPath(buffer);
+  const files = await readZipEntries(buffer, [sheetPath, "xl/sharedStrings.xml"]);
+  if (!files[sheetPath]) throw new Error("The workbook has no worksheet");
+
+  const sharedStrings = files["xl/sharedStrings.xml"]
+    ? Array.from(
+        parseXml(files["xl/sharedStrings.xml"]).getElementsByTagName("si")
+      ).map(getText)
+    : [];
+
+  // Empty rows are left out of the sheet XML; keep the others at their row
+  // number so row N of the result is row N + 1 of the sheet, as with CSV
+  const rows = [];
+  Array.from(parseXml(files[sheetPath]).getElementsByTagName("row")).forEach(
+    (rowElement) => {
+      const row = [];
+      Array.from(rowElement.getElementsByTagName("c")).forEach((cellElement, i) => {
+        const ref = cellElement.getAttribute("r");
+        const index = ref ? getColumnIndex(ref) : i;
+        const type = cellElement.getAttribute("t");
+        const value = cellElement.getElementsByTagName("v")[0]?.textContent ?? "";
+        row[index] =
+          type === "s"
+            ? sharedStrings[Number(value)] ?? ""
+            : type === "inlineStr"
+            ? getText(cellElement)
+            : value;
+      });
+      const number = Number(rowElement.getAttribute("r")) || rows.length + 1;
+      rows[number - 1] = Array.from(row, (cell) => cell ?? "");
+    }
+  );
+  return Array.from(rows, (row) => row ?? []);
+};
+
+// Rows from an uploaded File, by extension
+export const readSpreadsheet = async (file) => {
+  if (/\.xlsx$/i.test(file.name)) {
+    return parseXLSX(await file.arrayBuffer());
+  }
+  if (/\.(csv|txt)$/i.test(file.name)) {
+    return parseCSV(await file.text());
+  }
+  throw new Error("Choose a .csv or .xlsx file");
+};
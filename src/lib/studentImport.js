@@ -0,0 +1,272 @@
+// lib/studentImport.js - Map, validate and dedupe spreadsheet rows of students
+//
+// Each row becomes a create, an update of the existing student it matches
+// (by email, ID number or full name, in that order), "unchanged", or an
+// error. Rows matching an archived student are errors until it is restored.
+// Nothing is written here; the import page sends the plan to the API as one
+// batch that can be rolled back.
+import { getCatalogs } from "@/lib/catalog";
+import { generatePin, getPinPolicy, validatePin } from "@/lib/pinPolicy";
+
+export const IMPORT_FIELDS = [
+  { key: "firstName", label: "First Name", required: true },
+  { key: "lastName", label: "Last Name", required: true },
+  { key: "pin", label: "PIN" },
+  { key: "idNumber", label: "ID Number" },
+  { key: "email", label: "Email" },
+  { key: "phone", label: "Phone" },
+  { key: "street", label: "Street" },
+  { key: "city", label: "City" },
+  { key: "state", label: "State" },
+  { key: "zipCode", label: "Zip Code" },
+  { key: "status", label: "Status" },
+  { key: "source", label: "Source" },
+  { key: "registrationDate", label: "Registration Date", type: "date" },
+  { key: "endOfClassDate", label: "End of Class Date", type: "date" },
+  { key: "endOfPracticeDate", label: "End of Practice Date", type: "date" },
+  { key: "games", label: "Games" },
+];
+
+const normalize = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+// Header -> field, matching the key or label ("End of Class Date", "zip")
+export const guessMapping = (headers) => {
+  const mapping = {};
+  IMPORT_FIELDS.forEach((field) => {
+    const candidates = [normalize(field.key), normalize(field.label)];
+    const index = headers.findIndex((header) =>
+      candidates.includes(normalize(header))
+    );
+    mapping[field.key] = index >= 0 ? index : null;
+  });
+  if (mapping.zipCode === null) {
+    const index = headers.findIndex((header) => normalize(header) === "zip");
+    if (index >= 0) mapping.zipCode = index;
+  }
+  return mapping;
+};
+
+// "2025-03-01", "3/1/2025" or an Excel serial day number -> "2025-03-01"
+export const parseImportDate = (value) => {
+  const text = String(value).trim();
+  let date = null;
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    date = new Date(`${text.slice(0, 10)}T00:00:00`);
+  } else if (/^\d{1,2}\/\d{1,2}\/\d{2,4}$/.test(text)) {
+    const [month, day, year] = text.split("/").map(Number);
+    date = new Date(year < 100 ? 2000 + year : year, month - 1, day);
+  } else if (/^\d+(\.\d+)?$/.test(text)) {
+    // Days since 1899-12-30, as XLSX stores dates
+    date = new Date(1899, 11, 30 + Math.floor(Number(text)));
+  }
+  if (!date || isNaN(date)) return null;
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(
+    date.getDate()
+  ).padStart(2, "0")}`;
+};
+
+const findCatalogValue = (catalog, text) => {
+  const key = normalize(text);
+  return catalog.find(
+    (entry) => normalize(entry.value) === key || normalize(entry.label) === key
+  )?.value;
+};
+
+const getNameKey = (data) =>
+  data.firstName && data.lastName
+    ? `${normalize(data.firstName)}|${normalize(data.lastName)}`
+    : "";
+
+// Turn one spreadsheet row into student fields and a list of problems
+const readRow = (cells, mapping, catalogs) => {
+  const data = {};
+  const errors = [];
+
+  IMPORT_FIELDS.forEach((field) => {
+    const index = mapping[field.key];
+    const raw = index === null || index === undefined ? "" : String(cells[index] ?? "").trim();
+    if (!raw) {
+      if (field.required) errors.push(`${field.label} is required`);
+      return;
+    }
+
+    if (field.type === "date") {
+      const date = parseImportDate(raw);
+      if (date) data[field.key] = date;
+      else errors.push(`${field.label} "${raw}" is not a date`);
+    } else if (field.key === "status") {
+      const status = findCatalogValue(catalogs.statuses, raw);
+      if (status) data.status = status;
+      else errors.push(`Unknown status "${raw}"`);
+    } else if (field.key === "games") {
+      const games = raw.split(/[,;|]/).map((game) => game.trim()).filter(Boolean);
+      const unknown = games.filter((game) => !findCatalogValue(catalogs.games, game));
+      if (unknown.length > 0) errors.push(`Unknown game(s): ${unknown.join(", ")}`);
+      else data.games = games.map((game) => findCatalogValue(catalogs.games, game));
+    } else if (field.key === "email") {
+      if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(raw)) data.email = raw.toLowerCase();
+      else errors.push(`Email "${raw}" is not valid`);
+    } else if (field.key === "state") {
+      data.state = raw.toUpperCase();
+    } else {
+      data[field.key] = raw;
+    }
+  });
+
+  return { data, errors };
+};
+
+// Existing students keyed the three ways a row can match them
+const indexStudents = (students) => {
+  const index = { email: new Map(), idNumber: new Map(), name: new Map() };
+  students.forEach((student) => {
+    if (student.email) index.email.set(student.email.toLowerCase(), student);
+    if (student.idNumber) index.idNumber.set(String(student.idNumber), student);
+    const nameKey = getNameKey(student);
+    if (nameKey) index.name.set(nameKey, student);
+  });
+  return index;
+};
+
+const MATCH_LABELS = { email: "email", idNumber: "ID number", name: "name" };
+
+const sameValue = (a, b) =>
+  Array.isArray(a) || Array.isArray(b)
+    ? [...(a || [])].sort().join(",") === [...(b || [])].sort().join(",")
+    : String(a ?? "").slice(0, 10) === String(b ?? "").slice(0, 10);
+
+// rows: [{ cells, rowNumber }], rowNumber as in the file
+// Returns [{ rowNumber, action, data, student?, matchedBy?, generatedPin?,
+// changes, errors }]. Statuses, games and PIN rules come from settings.
+export const buildImportPlan = (rows, mapping, students, settings) => {
+  const catalogs = getCatalogs(settings);
+  const pinPolicy = getPinPolicy(settings);
+  const existing = indexStudents(students);
+  const pinOwners = new Map(
+    students.filter((s) => s.pin).map((s) => [String(s.pin), s._id])
+  );
+  const seen = { email: new Map(), idNumber: new Map(), name: new Map(), pin: new Map() };
+
+  const plan = rows.map(({ cells, rowNumber }) => {
+    const { data, errors } = readRow(cells, mapping, catalogs);
+
+    const keys = {
+      email: data.email || "",
+      idNumber: data.idNumber || "",
+      name: getNameKey(data),
+    };
+
+    // The same student twice in the file
+    Object.entries(keys).forEach(([type, key]) => {
+      if (!key) return;
+      if (seen[type].has(key)) {
+        errors.push(`Same ${MATCH_LABELS[type]} as row ${seen[type].get(key)}`);
+      } else {
+        seen[type].set(key, rowNumber);
+      }
+    });
+
+    const matches = Object.entries(keys)
+      .filter(([type, key]) => key && existing[type].has(key))
+      .map(([type, key]) => ({ type, student: existing[type].get(key) }));
+    const matchedIds = new Set(matches.map((match) => match.student._id));
+    if (matchedIds.size > 1) {
+      errors.push("Matches more than one existing student");
+    }
+    const match = matchedIds.size === 1 ? matches[0] : null;
+    // Updating an archived student would not bring them back to the roster
+    if (match?.student.archivedAt) {
+      errors.push(
+        `Matches an archived student (by ${MATCH_LABELS[match.type]}); restore them first`
+      );
+    }
+
+    // A student's current PIN is kept even if it predates the PIN rules
+    const pinProblem =
+      data.pin && data.pin !== String(match?.student.pin ?? "")
+        ? validatePin(data.pin, pinPolicy)
+        : "";
+    if (pinProblem) {
+      errors.push(pinProblem);
+    } else if (data.pin) {
+      const owner = pinOwners.get(data.pin);
+      if (owner && owner !== match?.student._id) {
+        errors.push(`PIN ${data.pin} belongs to another student`);
+      } else if (seen.pin.has(data.pin)) {
+        errors.push(`Same PIN as row ${seen.pin.get(data.pin)}`);
+      } else {
+        seen.pin.set(data.pin, rowNumber);
+      }
+    }
+
+    if (errors.length > 0) {
+      return { rowNumber, action: "error", data, errors, changes: [] };
+    }
+
+    if (!match) {
+      return {
+        rowNumber,
+        action: "create",
+        data: {
+          source: "Regular",
+          ...data,
+          games: data.games || [],
+          roles: ["student"],
+          ...(data.status && { statusChangedDate: new Date().toISOString() }),
+        },
+        errors,
+        changes: Object.keys(data),
+      };
+    }
+
+    // Only non-blank cells update; blank cells leave the student as is
+    const changes = Object.keys(data).filter(
+      (key) => !sameValue(data[key], match.student[key])
+    );
+    const updates = Object.fromEntries(changes.map((key) => [key, data[key]]));
+    if (changes.includes("status")) {
+      updates.statusChangedDate = new Date().toISOString();
+    }
+    return {
+      rowNumber,
+      action: changes.length > 0 ? "update" : "unchanged",
+      data: updates,
+      student: match.student,
+      matchedBy: MATCH_LABELS[match.type],
+      errors,
+      changes,
+    };
+  });
+
+  // New students without a PIN get a random one, clear of every PIN on the
+  // roster or in the file; the preview shows it so it can be handed out
+  const taken = new Set([...pinOwners.keys(), ...seen.pin.keys()]);
+  return plan.map((row) => {
+    if (row.action !== "create" || row.data.pin) return row;
+    const pin = generatePin(pinPolicy, taken);
+    if (!pin) {
+      return {
+        ...row,
+        action: "error",
+        errors: ["No PIN given and no free PIN could be generated"],
+        changes: [],
+      };
+    }
+    taken.add(pin);
+    return {
+      ...row,
+      data: { ...row.data, pin },
+      generatedPin: true,
+      changes: [...row.changes, "pin"],
+    };
+  });
+};
+
+export const summarizeImportPlan = (plan) =>
+  plan.reduce(
+    (totals, row) => ({ ...totals, [row.action]: totals[row.action] + 1 }),
+    { create: 0, update: 0, unchanged: 0, error: 0 }
+  );
@@ -0,0 +1,58 @@
+import { describe, expect, it } from "vitest";
+import { buildImportPlan } from "@/lib/studentImport";
+
+const MAPPING = { firstName: 0, lastName: 1, pin: 2, email: 3 };
+
+const row = (rowNumber, ...cells) => ({ cells, rowNumber });
+
+describe("buildImportPlan", () => {
+  it("keeps the file's row numbers when blank rows were dropped", () => {
+    const plan = buildImportPlan(
+      [row(2, "Dana", "Reyes", "4821"), row(5, "Dana", "Reyes", "5937")],
+      MAPPING,
+      []
+    );
+    expect(plan.map((r) => r.rowNumber)).toEqual([2, 5]);
+    expect(plan[1].errors).toContain("Same name as row 2");
+  });
+
+  it("gives new students without a PIN one that is free", () => {
+    const students = [{ _id: "s1", firstName: "Ana", lastName: "Lee", pin: "4821" }];
+    const plan = buildImportPlan(
+      [row(2, "Dana", "Reyes", ""), row(3, "Sam", "Ortiz", "5937")],
+      MAPPING,
+      students,
+      { pinPolicy: { minLength: 4, maxLength: 4 } }
+    );
+    expect(plan[0]).toMatchObject({ action: "create", generatedPin: true });
+    expect(plan[0].data.pin).toMatch(/^\d{4}$/);
+    expect(["4821", "5937"]).not.toContain(plan[0].data.pin);
+    expect(plan[0].changes).toContain("pin");
+    expect(plan[1].generatedPin).toBeUndefined();
+  });
+
+  it("does not generate PINs for updates", () => {
+    const students = [{ _id: "s1", firstName: "Dana", lastName: "Reyes", pin: "4821" }];
+    const plan = buildImportPlan(
+      [row(2, "Dana", "Reyes", "", "dana@example.com")],
+      MAPPING,
+      students
+    );
+    expect(plan[0]).toMatchObject({ action: "update", data: { email: "dana@example.com" } });
+  });
+
+  it("refuses rows that match an archived student", () => {
+    const students = [
+      { _id: "s1", firstName: "Dana", lastName: "Reyes", archivedAt: "2025-01-01" },
+    ];
+    const plan = buildImportPlan(
+      [row(2, "Dana", "Reyes", "", "dana@example.com")],
+      MAPPING,
+      students
+    );
+    expect(plan[0]).toMatchObject({
+      action: "error",
+      errors: ["Matches an archived student (by name); restore them first"],
+    });
+  });
+});
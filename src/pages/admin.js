@@ -1,21 +1,60 @@
 // pages/admin.js - Admin Panel with Filtering and Export
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import Link from "next/link";
 import Head from "next/head";
+import AdminNav from "@/components/AdminNav";
+import RequireStaff from "@/components/RequireStaff";
+import Barcode from "@/components/Barcode";
+import {
+  BADGE_TEMPLATES,
+  openPrintWindow,
+  printBadges,
+  renderBadgeSheets,
+  writePrintWindow,
+} from "@/lib/badges";
+import {
+  CatalogContext,
+  getCatalogOptions,
+  getCatalogs,
+  getGameDisplayName,
+  getStatusColorClass,
+  getStatusLabel,
+  useCatalogs,
+} from "@/lib/catalog";
+import { ADMIN_SEARCH_FIELDS, searchStudents } from "@/lib/search";
+import {
+  formatSessionCorrections,
+  formatSessionGames,
+  getGamesInSessions,
+  getSessionGameHours,
+  formatSystemClosed,
+  isSessionEdited,
+  isSystemClosed,
+  SESSION_NOT_FOUND_MESSAGE,
+} from "@/lib/sessions";
+import GameHoursBreakdown from "@/components/GameHoursBreakdown";
+import CurriculumProgress from "@/components/CurriculumProgress";
+import AuditLogTable from "@/components/AuditLogTable";
+import SessionEditor from "@/components/SessionEditor";
+import BulkActionPanel, { BULK_ACTIONS } from "@/components/BulkActionPanel";
+import { isReadyToGraduate } from "@/lib/curriculum";
+import { getEndDateWarnings } from "@/lib/endDates";
+import { validateStudent } from "@/lib/eligibility";
+import {
+  describePinPolicy,
+  generatePin,
+  getPinPolicy,
+  getTakenPins,
+  validatePin,
+} from "@/lib/pinPolicy";
+import { STAFF_ROLES, authFetch, useStaff } from "@/lib/auth";
+import { buildAuditQuery } from "@/lib/audit";
 
 const API = process.env.NEXT_PUBLIC_API_URL;
 const ITEMS_PER_PAGE = 25;
 
-const GAME_DISPLAY_NAMES = {
-  sr: "SR",
-  uth: "UTH",
-};
-
-const getGameDisplayName = (game) =>
-  GAME_DISPLAY_NAMES[game] || game.charAt(0).toUpperCase() + game.slice(1);
-
-const getStatusDisplay = (student) => {
-  const status = student.status || "N/A";
+const getStatusDisplay = (student, catalogs) => {
+  const status = student.status ? getStatusLabel(catalogs, student.status) : "N/A";
   if (!student.statusChangedDate || !student.status) return status;
   const days = Math.floor(
     (Date.now() - new Date(student.statusChangedDate).getTime()) / 86400000
@@ -24,6 +63,7 @@ const getStatusDisplay = (student) => {
 };
 
 const AdminPanel = () => {
+  const { can } = useStaff();
   const [students, setStudents] = useState([]);
   const [filteredStudents, setFilteredStudents] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -37,26 +77,36 @@ const AdminPanel = () => {
   const [registrationDateFilter, setRegistrationDateFilter] = useState("");
   const [endOfClassDateFilter, setEndOfClassDateFilter] = useState("");
   const [endOfPracticeDateFilter, setEndOfPracticeDateFilter] = useState("");
+  const [readyToGraduateFilter, setReadyToGraduateFilter] = useState(false);
   const [currentPage, setCurrentPage] = useState(1);
   const [showExportMenu, setShowExportMenu] = useState(false);
+  const [showBadgeMenu, setShowBadgeMenu] = useState(false);
   const [sortColumn, setSortColumn] = useState("name");
   const [sortDirection, setSortDirection] = useState("asc");
   const [historyStudent, setHistoryStudent] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const catalogs = useMemo(() => getCatalogs(settings), [settings]);
+  const [showArchived, setShowArchived] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  // { action, students } - the selection is fixed when the action starts
+  const [bulkAction, setBulkAction] = useState(null);
 
   useEffect(() => {
     fetchStudents();
+    fetchSettings();
   }, []);
 
   useEffect(() => {
     filterStudents();
-  }, [searchTerm, statusFilter, gameFilter, registrationDateFilter, endOfClassDateFilter, endOfPracticeDateFilter, students]);
+  }, [searchTerm, statusFilter, gameFilter, registrationDateFilter, endOfClassDateFilter, endOfPracticeDateFilter, readyToGraduateFilter, students, settings, showArchived]);
 
   const fetchStudents = async () => {
     setLoading(true);
     try {
-      const response = await fetch(`${API}/users`);
+      const response = await authFetch(`${API}/users`);
       const data = await response.json();
       setStudents(data);
+      setSelectedIds((prev) => prev.filter((id) => data.some((s) => s._id === id)));
     } catch (err) {
       setError("Failed to fetch students");
     } finally {
@@ -64,46 +114,25 @@ const AdminPanel = () => {
     }
   };
 
+  const fetchSettings = async () => {
+    try {
+      const response = await authFetch(`${API}/settings`);
+      const data = await response.json();
+      setSettings(data[0] || null);
+    } catch (err) {
+      console.error("Failed to fetch settings:", err);
+    }
+  };
+
   const filterStudents = () => {
-    let filtered = students;
+    let filtered = students.filter((s) => !!s.archivedAt === showArchived);
 
-    // Text search: multi-word with relevance scoring
+    // Text search: fuzzy, nickname-aware, also matching contact fields
     if (searchTerm.trim()) {
-      const terms = searchTerm.toLowerCase().split(/\s+/).filter(Boolean);
-      filtered = filtered
-        .map((student) => {
-          const firstName = (student.firstName || "").toLowerCase();
-          const lastName = (student.lastName || "").toLowerCase();
-          const email = (student.email || "").toLowerCase();
-
-          let totalScore = 0;
-          let allTermsMatch = true;
-
-          for (const term of terms) {
-            let termScore = 0;
-            // Exact match on name field (highest)
-            if (firstName === term || lastName === term) {
-              termScore = 3;
-            }
-            // Starts-with match
-            else if (firstName.startsWith(term) || lastName.startsWith(term)) {
-              termScore = 2;
-            }
-            // Contains match (name or email)
-            else if (firstName.includes(term) || lastName.includes(term) || email.includes(term)) {
-              termScore = 1;
-            }
-
-            if (termScore === 0) {
-              allTermsMatch = false;
-              break;
-            }
-            totalScore += termScore;
-          }
-
-          return { ...student, _searchScore: allTermsMatch ? totalScore : 0 };
-        })
-        .filter((student) => student._searchScore > 0);
+      filtered = searchStudents(filtered, searchTerm, {
+        nicknames: settings?.nicknames,
+        fields: ADMIN_SEARCH_FIELDS,
+      });
     }
 
     // Status filter
@@ -154,11 +183,16 @@ const AdminPanel = () => {
       });
     }
 
+    // Met all curriculum requirements but still "Current Student"
+    if (readyToGraduateFilter) {
+      filtered = filtered.filter((s) => isReadyToGraduate(s, settings?.curriculum));
+    }
+
     setFilteredStudents(filtered);
     setCurrentPage(1);
   };
 
-  const hasActiveFilters = searchTerm || statusFilter || gameFilter || registrationDateFilter || endOfClassDateFilter || endOfPracticeDateFilter;
+  const hasActiveFilters = searchTerm || statusFilter || gameFilter || registrationDateFilter || endOfClassDateFilter || endOfPracticeDateFilter || readyToGraduateFilter;
 
   const clearAllFilters = () => {
     setSearchTerm("");
@@ -167,6 +201,7 @@ const AdminPanel = () => {
     setRegistrationDateFilter("");
     setEndOfClassDateFilter("");
     setEndOfPracticeDateFilter("");
+    setReadyToGraduateFilter(false);
   };
 
   const handleSort = (column) => {
@@ -201,8 +236,8 @@ const AdminPanel = () => {
           bVal = (b.email || "").toLowerCase();
           break;
         case "status": {
-          const aStatus = (a.status || "").toLowerCase();
-          const bStatus = (b.status || "").toLowerCase();
+          const aStatus = getStatusLabel(catalogs, a.status || "").toLowerCase();
+          const bStatus = getStatusLabel(catalogs, b.status || "").toLowerCase();
           if (aStatus !== bStatus) {
             if (aStatus < bStatus) return sortDirection === "asc" ? -1 : 1;
             if (aStatus > bStatus) return sortDirection === "asc" ? 1 : -1;
@@ -253,15 +288,66 @@ const AdminPanel = () => {
     return `${student.firstName || ""} ${student.lastName || ""}`.trim();
   };
 
-  const deleteStudent = async (id) => {
-    if (!confirm("Are you sure you want to delete this student?")) return;
+  // Archived students keep their sessions but leave the roster and kiosk
+  const archiveStudent = async (student) => {
+    if (
+      !confirm(
+        `Archive ${getFullName(student)}? They will be hidden from the roster and the kiosk. Their attendance is kept and they can be restored.`
+      )
+    )
+      return;
 
     try {
-      const response = await fetch(`${API}/users/${id}`, {
+      const response = await authFetch(`${API}/users/${student._id}/archive`, {
+        method: "POST",
+      });
+      if (response.ok) {
+        fetchStudents();
+      } else {
+        setError("Failed to archive student");
+      }
+    } catch (err) {
+      setError("Failed to archive student");
+    }
+  };
+
+  const restoreStudent = async (student) => {
+    try {
+      const response = await authFetch(`${API}/users/${student._id}/restore`, {
+        method: "POST",
+      });
+      if (response.ok) {
+        fetchStudents();
+      } else {
+        setError("Failed to restore student");
+      }
+    } catch (err) {
+      setError("Failed to restore student");
+    }
+  };
+
+  // Permanent deletion of an archived student and all their attendance
+  const purgeStudent = async (student) => {
+    const name = getFullName(student);
+    const typed = prompt(
+      `This permanently deletes ${name} and all of their attendance records. It cannot be undone.\n\nType the student's full name to confirm:`
+    );
+    if (typed === null) return;
+    if (typed.trim().toLowerCase() !== name.toLowerCase()) {
+      alert("The name did not match. Nothing was deleted.");
+      return;
+    }
+
+    try {
+      const response = await authFetch(`${API}/users/${student._id}`, {
         method: "DELETE",
       });
       if (response.ok) {
         fetchStudents();
+      } else if (response.status === 403) {
+        setError("Only owners can permanently delete students");
+      } else {
+        setError("Failed to delete student");
       }
     } catch (err) {
       setError("Failed to delete student");
@@ -298,6 +384,68 @@ const AdminPanel = () => {
     setShowExportMenu(false);
   };
 
+  const exportSelection = (type) => {
+    const selected = getSortedStudents(selectedStudents);
+    const date = new Date().toISOString().split("T")[0];
+    if (type === "sessions") {
+      downloadCSV(generateSessionsCSV(selected), `selected-sessions-${date}.csv`);
+    } else {
+      downloadCSV(generateRosterCSV(selected), `selected-roster-${date}.csv`);
+    }
+  };
+
+  // Students without a badge get one issued before the sheet is printed
+  const printStudentBadges = async (templateId) => {
+    setShowBadgeMenu(false);
+    if (filteredStudents.length === 0) {
+      alert("No students to print");
+      return;
+    }
+
+    const missing = filteredStudents.filter((s) => !s.badgeCode);
+    if (
+      missing.length > 0 &&
+      !confirm(
+        `${missing.length} of these students do not have a badge yet. Generate badges for them now?`
+      )
+    )
+      return;
+
+    const printWindow = openPrintWindow();
+    if (!printWindow) return;
+
+    const issued = {};
+    for (const student of missing) {
+      try {
+        const response = await authFetch(`${API}/users/${student._id}/badge`, {
+          method: "POST",
+        });
+        if (response.ok) {
+          issued[student._id] = (await response.json()).badgeCode;
+        }
+      } catch (err) {
+        console.error("Failed to generate badge:", err);
+      }
+    }
+    if (missing.length > 0) fetchStudents();
+
+    const printable = getSortedStudents(filteredStudents)
+      .map((s) => (issued[s._id] ? { ...s, badgeCode: issued[s._id] } : s))
+      .filter((s) => s.badgeCode);
+    if (printable.length < filteredStudents.length) {
+      setError(
+        `Could not generate badges for ${
+          filteredStudents.length - printable.length
+        } student(s)`
+      );
+    }
+    if (printable.length === 0) {
+      printWindow.close();
+      return;
+    }
+    writePrintWindow(printWindow, renderBadgeSheets(printable, catalogs, templateId));
+  };
+
   const generateRosterCSV = (students) => {
     const headers = [
       "First Name",
@@ -335,7 +483,7 @@ const AdminPanel = () => {
         student.state || "",
         student.zipCode || "",
         student.foreignAddress || "",
-        student.status || "",
+        student.status ? getStatusLabel(catalogs, student.status) : "",
         student.statusChangedDate
           ? new Date(student.statusChangedDate).toLocaleDateString()
           : "",
@@ -359,6 +507,8 @@ const AdminPanel = () => {
   };
 
   const generateSessionsCSV = (students) => {
+    // One hours column per game practiced in any exported session
+    const games = getGamesInSessions(students.flatMap((s) => s.sessions || []));
     const headers = [
       "Student Name",
       "PIN",
@@ -366,12 +516,17 @@ const AdminPanel = () => {
       "Check-in Date/Time",
       "Check-out Date/Time",
       "Hours",
+      ...games.map((game) => `${getGameDisplayName(catalogs, game)} Hours`),
+      "Edited",
+      "Correction Reason",
+      "System Closed",
     ];
     const rows = [headers];
 
     students.forEach((student) => {
       if (student.sessions && student.sessions.length > 0) {
         student.sessions.forEach((session) => {
+          const gameHours = getSessionGameHours(session);
           rows.push([
             getFullName(student),
             student.pin || "",
@@ -381,13 +536,21 @@ const AdminPanel = () => {
               ? new Date(session.checkout).toLocaleString()
               : "In Progress",
             session.hours ? session.hours.toFixed(2) : "",
+            ...games.map((game) =>
+              gameHours[game] ? gameHours[game].toFixed(2) : ""
+            ),
+            isSessionEdited(session) ? "Yes" : "",
+            formatSessionCorrections(session),
+            formatSystemClosed(session),
           ]);
         });
       }
     });
 
     return rows
-      .map((row) => row.map((cell) => `"${cell}"`).join(","))
+      .map((row) =>
+        row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(",")
+      )
       .join("\n");
   };
 
@@ -410,6 +573,33 @@ const AdminPanel = () => {
   const endIndex = startIndex + ITEMS_PER_PAGE;
   const paginatedStudents = sortedStudents.slice(startIndex, endIndex);
 
+  const selectedStudents = students.filter((s) => selectedIds.includes(s._id));
+  const isPageSelected =
+    paginatedStudents.length > 0 &&
+    paginatedStudents.every((s) => selectedIds.includes(s._id));
+  const areAllMatchingSelected =
+    filteredStudents.length > 0 &&
+    filteredStudents.every((s) => selectedIds.includes(s._id));
+
+  const toggleSelected = (id) =>
+    setSelectedIds((prev) =>
+      prev.includes(id) ? prev.filter((i) => i !== id) : [...prev, id]
+    );
+
+  const togglePageSelected = () => {
+    const pageIds = paginatedStudents.map((s) => s._id);
+    setSelectedIds((prev) =>
+      isPageSelected
+        ? prev.filter((id) => !pageIds.includes(id))
+        : [...new Set([...prev, ...pageIds])]
+    );
+  };
+
+  const selectAllMatching = () =>
+    setSelectedIds((prev) => [
+      ...new Set([...prev, ...filteredStudents.map((s) => s._id)]),
+    ]);
+
   const goToPage = (page) => {
     setCurrentPage(Math.max(1, Math.min(page, totalPages)));
   };
@@ -444,7 +634,7 @@ const AdminPanel = () => {
   }
 
   return (
-    <>
+    <CatalogContext.Provider value={catalogs}>
       <Head>
         <title>Admin Panel - Student Management</title>
         <meta name="description" content="Admin panel for student management" />
@@ -452,28 +642,7 @@ const AdminPanel = () => {
 
       <div className="min-h-screen bg-gray-100">
         {/* Navigation */}
-        <nav className="bg-blue-600 text-white p-4">
-          <div className="container mx-auto flex justify-between items-center">
-            <h1 className="text-xl font-bold">Student Check-in System</h1>
-            <div className="space-x-4">
-              <Link
-                href="/"
-                className="px-4 py-2 rounded bg-blue-500 hover:bg-blue-700"
-              >
-                Student Login
-              </Link>
-              <Link href="/admin" className="px-4 py-2 rounded bg-blue-800">
-                Admin Panel
-              </Link>
-              <Link
-                href="/admin/settings"
-                className="px-4 py-2 rounded bg-blue-500 hover:bg-blue-700"
-              >
-                Settings
-              </Link>
-            </div>
-          </div>
-        </nav>
+        <AdminNav active="/admin" />
 
         {/* Content */}
         <div className="container mx-auto p-4">
@@ -510,17 +679,43 @@ const AdminPanel = () => {
                     </div>
                   )}
                 </div>
-                <button
-                  onClick={() => {
-                    setEditingStudent(null);
-                    setHistoryStudent(null);
-                    setShowAddForm(true);
-                    setDrawerOpen(true);
-                  }}
-                  className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700"
-                >
-                  Add New Student
-                </button>
+                <div className="relative">
+                  <button
+                    onClick={() => setShowBadgeMenu(!showBadgeMenu)}
+                    className="bg-purple-600 text-white px-4 py-2 rounded-md hover:bg-purple-700 inline-flex items-center"
+                  >
+                    Print Badges ({filteredStudents.length})
+                    <svg className="ml-2 w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                    </svg>
+                  </button>
+                  {showBadgeMenu && (
+                    <div className="absolute right-0 mt-1 w-64 bg-white rounded-md shadow-lg border border-gray-200 z-10">
+                      {Object.entries(BADGE_TEMPLATES).map(([templateId, template]) => (
+                        <button
+                          key={templateId}
+                          onClick={() => printStudentBadges(templateId)}
+                          className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 first:rounded-t-md last:rounded-b-md"
+                        >
+                          {template.label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+                {can("students.edit") && (
+                  <button
+                    onClick={() => {
+                      setEditingStudent(null);
+                      setHistoryStudent(null);
+                      setShowAddForm(true);
+                      setDrawerOpen(true);
+                    }}
+                    className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700"
+                  >
+                    Add New Student
+                  </button>
+                )}
               </div>
             </div>
 
@@ -588,6 +783,7 @@ const AdminPanel = () => {
                       key={`history-${historyStudent._id}`}
                       studentId={historyStudent._id}
                       getFullName={getFullName}
+                      curriculum={settings?.curriculum}
                       onRefresh={fetchStudents}
                     />
                   )}
@@ -595,6 +791,8 @@ const AdminPanel = () => {
                     <StudentForm
                       key={editingStudent?._id || "new"}
                       student={editingStudent}
+                      students={students}
+                      pinPolicy={getPinPolicy(settings)}
                       onSave={() => {
                         fetchStudents();
                         setDrawerOpen(false);
@@ -622,7 +820,7 @@ const AdminPanel = () => {
                 <div className="flex-1">
                   <input
                     type="text"
-                    placeholder="Search by first name, last name, or email..."
+                    placeholder="Search by name, email, phone, ID number, or PIN..."
                     value={searchTerm}
                     onChange={(e) => setSearchTerm(e.target.value)}
                     className="w-full px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
@@ -638,7 +836,7 @@ const AdminPanel = () => {
                 )}
               </div>
 
-              <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+              <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
                 <div>
                   <label className="block text-xs font-medium text-gray-500 mb-1">Status</label>
                   <select
@@ -647,11 +845,12 @@ const AdminPanel = () => {
                     className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
                   >
                     <option value="">All Statuses</option>
-                    <option value="Current Student">Current Student</option>
-                    <option value="Suspended">Suspended</option>
-                    <option value="Paused">Paused</option>
-                    <option value="Graduate">Graduate</option>
-                    <option value="Other">Other</option>
+                    {catalogs.statuses.map((status) => (
+                      <option key={status.value} value={status.value}>
+                        {status.label}
+                        {!status.active && " (retired)"}
+                      </option>
+                    ))}
                   </select>
                 </div>
 
@@ -663,9 +862,10 @@ const AdminPanel = () => {
                     className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
                   >
                     <option value="">All Games</option>
-                    {["craps", "roulette", "blackjack", "baccarat", "poker", "pai-gow", "keno", "uth", "sic-bo", "sr"].map((game) => (
-                      <option key={game} value={game}>
-                        {getGameDisplayName(game)}
+                    {catalogs.games.map((game) => (
+                      <option key={game.value} value={game.value}>
+                        {game.label}
+                        {!game.active && " (retired)"}
                       </option>
                     ))}
                   </select>
@@ -700,25 +900,148 @@ const AdminPanel = () => {
                     className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
                   />
                 </div>
+
+                <div>
+                  <label className="block text-xs font-medium text-gray-500 mb-1">Graduation</label>
+                  <label className="flex items-center space-x-2 px-3 py-2 border border-gray-300 rounded-md text-sm cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={readyToGraduateFilter}
+                      onChange={(e) => setReadyToGraduateFilter(e.target.checked)}
+                      className="rounded"
+                    />
+                    <span>Ready to graduate</span>
+                  </label>
+                </div>
               </div>
 
-              <p className="text-sm text-gray-600">
-                Showing {filteredStudents.length} of {students.length} students
-              </p>
+              <div className="flex justify-between items-center">
+                <p className="text-sm text-gray-600">
+                  Showing {filteredStudents.length} of{" "}
+                  {students.filter((s) => !!s.archivedAt === showArchived).length}{" "}
+                  {showArchived ? "archived " : ""}students
+                </p>
+                <div className="inline-flex rounded-md border border-gray-300 overflow-hidden text-sm">
+                  {[
+                    [false, "Active"],
+                    [true, `Archived (${students.filter((s) => s.archivedAt).length})`],
+                  ].map(([archived, label]) => (
+                    <button
+                      key={label}
+                      onClick={() => {
+                        setShowArchived(archived);
+                        setSelectedIds([]);
+                        setBulkAction(null);
+                      }}
+                      className={`px-3 py-1.5 ${
+                        showArchived === archived
+                          ? "bg-blue-600 text-white"
+                          : "bg-white text-gray-700 hover:bg-gray-50"
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
             </div>
 
+            {/* Bulk Actions */}
+            {selectedIds.length > 0 && (
+              <div className="bg-white rounded-lg shadow p-4 space-y-3">
+                <div className="flex flex-wrap items-center gap-3">
+                  <span className="text-sm font-medium text-gray-900">
+                    {selectedIds.length} selected
+                  </span>
+                  <select
+                    value=""
+                    onChange={(e) =>
+                      e.target.value &&
+                      setBulkAction({ action: e.target.value, students: selectedStudents })
+                    }
+                    disabled={!!bulkAction}
+                    className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                  >
+                    <option value="">Bulk action...</option>
+                    {Object.entries(BULK_ACTIONS)
+                      .filter(([, config]) => can(config.permission))
+                      .filter(([action]) => action !== (showArchived ? "archive" : "restore"))
+                      .map(([action, config]) => (
+                        <option key={action} value={action}>
+                          {config.label}
+                        </option>
+                      ))}
+                  </select>
+                  <button
+                    onClick={() => exportSelection("roster")}
+                    className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 text-sm"
+                  >
+                    Export Roster
+                  </button>
+                  <button
+                    onClick={() => exportSelection("sessions")}
+                    className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 text-sm"
+                  >
+                    Export Sessions
+                  </button>
+                  <button
+                    onClick={() => setSelectedIds([])}
+                    disabled={!!bulkAction}
+                    className="px-3 py-2 text-sm text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                  >
+                    Clear selection
+                  </button>
+                </div>
+                {bulkAction && (
+                  <BulkActionPanel
+                    action={bulkAction.action}
+                    students={bulkAction.students}
+                    allStudents={students}
+                    pinPolicy={getPinPolicy(settings)}
+                    onDone={fetchStudents}
+                    onClose={() => setBulkAction(null)}
+                  />
+                )}
+              </div>
+            )}
+
             {/* Students List */}
             <div className="bg-white rounded-lg shadow overflow-hidden">
+              {isPageSelected &&
+                !areAllMatchingSelected &&
+                filteredStudents.length > paginatedStudents.length && (
+                  <div className="px-6 py-2 bg-blue-50 text-sm text-blue-900 border-b border-blue-100">
+                    All {paginatedStudents.length} students on this page are selected.{" "}
+                    <button
+                      onClick={selectAllMatching}
+                      className="font-medium text-blue-700 hover:text-blue-900 underline"
+                    >
+                      Select all {filteredStudents.length} matching students
+                    </button>
+                  </div>
+                )}
               <div className="overflow-x-auto">
                 <table className="min-w-full divide-y divide-gray-200">
                   <thead className="bg-gray-50">
                     <tr>
+                      <th className="pl-6 py-3">
+                        <input
+                          type="checkbox"
+                          checked={isPageSelected}
+                          onChange={togglePageSelected}
+                          aria-label="Select all on this page"
+                          className="rounded"
+                        />
+                      </th>
                       <SortHeader column="name">Name</SortHeader>
                       <SortHeader column="pin">PIN</SortHeader>
                       <SortHeader column="email">Email</SortHeader>
                       <SortHeader column="status">Status</SortHeader>
                       <SortHeader column="sessions">Sessions</SortHeader>
                       <SortHeader column="hours">Total Hours</SortHeader>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Progress
+                      </th>
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Actions
                       </th>
@@ -727,12 +1050,61 @@ const AdminPanel = () => {
                   <tbody className="bg-white divide-y divide-gray-200">
                     {paginatedStudents.map((student) => {
                       const totalHours = calculateTotalHours(student.sessions);
+                      const endDateWarnings = getEndDateWarnings(student, settings);
+                      const eligibility = validateStudent(student, settings);
                       return (
-                        <tr key={student._id}>
+                        <tr
+                          key={student._id}
+                          className={endDateWarnings.length > 0 ? "bg-yellow-50" : ""}
+                        >
+                          <td className="pl-6 py-4">
+                            <input
+                              type="checkbox"
+                              checked={selectedIds.includes(student._id)}
+                              onChange={() => toggleSelected(student._id)}
+                              aria-label={`Select ${getFullName(student)}`}
+                              className="rounded"
+                            />
+                          </td>
                           <td className="px-6 py-4 whitespace-nowrap">
                             <div className="text-sm font-medium text-gray-900">
                               {getFullName(student)}
                             </div>
+                            {endDateWarnings.map((warning) => (
+                              <span
+                                key={warning.type}
+                                title={warning.message}
+                                className="inline-flex items-center px-1.5 py-0.5 mt-1 mr-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800"
+                              >
+                                {warning.type === "class" ? "Class" : "Practice"}{" "}
+                                {warning.daysLeft > 0
+                                  ? `ends in ${warning.daysLeft}d`
+                                  : warning.daysLeft === 0
+                                  ? "ends today"
+                                  : "in grace"}
+                              </span>
+                            ))}
+                            {student.archivedAt && (
+                              <span className="inline-flex items-center px-1.5 py-0.5 mt-1 mr-1 rounded-full text-xs font-medium bg-gray-200 text-gray-700">
+                                Archived {new Date(student.archivedAt).toLocaleDateString()}
+                              </span>
+                            )}
+                            {student.mergedInto && (
+                              <Link
+                                href={`/admin/student/${student.mergedInto}`}
+                                className="inline-flex items-center px-1.5 py-0.5 mt-1 mr-1 rounded-full text-xs font-medium bg-gray-200 text-blue-700 hover:text-blue-900"
+                              >
+                                Merged
+                              </Link>
+                            )}
+                            {!eligibility.valid && !student.archivedAt && (
+                              <span
+                                title={eligibility.message}
+                                className="inline-flex items-center px-1.5 py-0.5 mt-1 mr-1 rounded-full text-xs font-medium bg-red-100 text-red-800"
+                              >
+                                Would be blocked
+                              </span>
+                            )}
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
                             <div className="text-sm text-gray-900">
@@ -745,9 +1117,18 @@ const AdminPanel = () => {
                             </div>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
-                            <div className="text-sm text-gray-900">
-                              {getStatusDisplay(student)}
-                            </div>
+                            {student.status ? (
+                              <span
+                                className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${getStatusColorClass(
+                                  catalogs,
+                                  student.status
+                                )}`}
+                              >
+                                {getStatusDisplay(student, catalogs)}
+                              </span>
+                            ) : (
+                              <div className="text-sm text-gray-900">N/A</div>
+                            )}
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
                             <div className="text-sm text-gray-900">
@@ -759,6 +1140,13 @@ const AdminPanel = () => {
                               {totalHours.toFixed(2)}
                             </div>
                           </td>
+                          <td className="px-6 py-4">
+                            <CurriculumProgress
+                              student={student}
+                              curriculum={settings?.curriculum}
+                              compact
+                            />
+                          </td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
                             <button
                               onClick={() => {
@@ -771,23 +1159,43 @@ const AdminPanel = () => {
                             >
                               History
                             </button>
-                            <button
-                              onClick={() => {
-                                setShowAddForm(false);
-                                setHistoryStudent(null);
-                                setEditingStudent(student);
-                                setDrawerOpen(true);
-                              }}
-                              className="text-blue-600 hover:text-blue-900"
-                            >
-                              Edit
-                            </button>
-                            <button
-                              onClick={() => deleteStudent(student._id)}
-                              className="text-red-600 hover:text-red-900"
-                            >
-                              Delete
-                            </button>
+                            {can("students.edit") && (
+                              <button
+                                onClick={() => {
+                                  setShowAddForm(false);
+                                  setHistoryStudent(null);
+                                  setEditingStudent(student);
+                                  setDrawerOpen(true);
+                                }}
+                                className="text-blue-600 hover:text-blue-900"
+                              >
+                                Edit
+                              </button>
+                            )}
+                            {!student.archivedAt && can("students.archive") && (
+                              <button
+                                onClick={() => archiveStudent(student)}
+                                className="text-red-600 hover:text-red-900"
+                              >
+                                Archive
+                              </button>
+                            )}
+                            {student.archivedAt && can("students.archive") && (
+                              <button
+                                onClick={() => restoreStudent(student)}
+                                className="text-blue-600 hover:text-blue-900"
+                              >
+                                Restore
+                              </button>
+                            )}
+                            {student.archivedAt && can("students.purge") && (
+                              <button
+                                onClick={() => purgeStudent(student)}
+                                className="text-red-600 hover:text-red-900"
+                              >
+                                Delete Permanently
+                              </button>
+                            )}
                           </td>
                         </tr>
                       );
@@ -851,17 +1259,23 @@ const AdminPanel = () => {
           </div>
         </div>
       </div>
-    </>
+    </CatalogContext.Provider>
   );
 };
 
 // Student History Panel Component (for drawer)
-const StudentHistoryPanel = ({ studentId, getFullName, onRefresh }) => {
+const StudentHistoryPanel = ({ studentId, getFullName, curriculum, onRefresh }) => {
   const API = process.env.NEXT_PUBLIC_API_URL;
+  const { can } = useStaff();
+  const catalogs = useCatalogs();
   const [student, setStudent] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [dateRange, setDateRange] = useState({ start: "", end: "" });
+  const [tab, setTab] = useState("sessions");
+  // null, "new", or the session being corrected
+  const [editingSession, setEditingSession] = useState(null);
+  const [sessionError, setSessionError] = useState("");
 
   useEffect(() => {
     fetchStudent();
@@ -870,7 +1284,7 @@ const StudentHistoryPanel = ({ studentId, getFullName, onRefresh }) => {
   const fetchStudent = async () => {
     setLoading(true);
     try {
-      const response = await fetch(`${API}/users/${studentId}`);
+      const response = await authFetch(`${API}/users/${studentId}`);
       if (response.ok) {
         setStudent(await response.json());
       } else {
@@ -894,23 +1308,33 @@ const StudentHistoryPanel = ({ studentId, getFullName, onRefresh }) => {
     });
   };
 
-  const deleteSession = async (sessionIndex) => {
+  const deleteSession = async (sessionId) => {
     if (!confirm("Are you sure you want to delete this session record?")) return;
+    setSessionError("");
     try {
-      const response = await fetch(`${API}/users/${studentId}/session/${sessionIndex}`, {
+      const response = await authFetch(`${API}/users/${studentId}/sessions/${sessionId}`, {
         method: "DELETE",
       });
       if (response.ok) {
         fetchStudent();
         onRefresh();
+      } else if (response.status === 404) {
+        handleSessionNotFound(SESSION_NOT_FOUND_MESSAGE);
       } else {
-        setError("Failed to delete session");
+        setSessionError("Failed to delete session");
       }
     } catch (err) {
-      setError("Error connecting to server");
+      setSessionError("Error connecting to server");
     }
   };
 
+  const handleSessionNotFound = (message) => {
+    setEditingSession(null);
+    setSessionError(message);
+    fetchStudent();
+    onRefresh();
+  };
+
   const filterSessionsByDateRange = (sessions) => {
     if (!dateRange.start && !dateRange.end) return sessions;
     return sessions.filter((session) => {
@@ -930,16 +1354,32 @@ const StudentHistoryPanel = ({ studentId, getFullName, onRefresh }) => {
       alert("No sessions in the selected date range");
       return;
     }
-    const headers = ["Check-in", "Check-out", "Hours"];
+    const games = getGamesInSessions(sessionsToExport);
+    const headers = [
+      "Check-in",
+      "Check-out",
+      "Hours",
+      ...games.map((game) => `${getGameDisplayName(catalogs, game)} Hours`),
+      "Edited",
+      "Correction Reason",
+      "System Closed",
+    ];
     const rows = [headers];
     sessionsToExport.forEach((s) => {
+      const gameHours = getSessionGameHours(s);
       rows.push([
         s.checkin ? new Date(s.checkin).toLocaleString() : "",
         s.checkout ? new Date(s.checkout).toLocaleString() : "In Progress",
         s.hours ? s.hours.toFixed(2) : "",
+        ...games.map((game) => (gameHours[game] ? gameHours[game].toFixed(2) : "")),
+        isSessionEdited(s) ? "Yes" : "",
+        formatSessionCorrections(s),
+        formatSystemClosed(s),
       ]);
     });
-    const csv = rows.map((r) => r.map((c) => `"${c}"`).join(",")).join("\n");
+    const csv = rows
+      .map((r) => r.map((c) => `"${String(c).replace(/"/g, '""')}"`).join(","))
+      .join("\n");
     const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
     const link = document.createElement("a");
     link.setAttribute("href", URL.createObjectURL(blob));
@@ -969,7 +1409,7 @@ const StudentHistoryPanel = ({ studentId, getFullName, onRefresh }) => {
         </div>
         <div>
           <span className="text-gray-500">Status:</span>
-          <p className="font-medium">{getStatusDisplay(student)}</p>
+          <p className="font-medium">{getStatusDisplay(student, catalogs)}</p>
         </div>
         <div>
           <span className="text-gray-500">Email:</span>
@@ -977,130 +1417,272 @@ const StudentHistoryPanel = ({ studentId, getFullName, onRefresh }) => {
         </div>
       </div>
 
-      {/* Stats */}
-      <div className="grid grid-cols-3 gap-3">
-        <div className="text-center p-3 bg-blue-50 rounded-lg">
-          <div className="text-xl font-bold text-blue-600">{filteredSessions.length}</div>
-          <div className="text-xs text-gray-600">Sessions</div>
-        </div>
-        <div className="text-center p-3 bg-purple-50 rounded-lg">
-          <div className="text-xl font-bold text-purple-600">{totalHours.toFixed(2)}</div>
-          <div className="text-xs text-gray-600">Total Hours</div>
-        </div>
-        <div className="text-center p-3 bg-green-50 rounded-lg">
-          <div className="text-xl font-bold text-green-600">
-            {filteredSessions.length > 0 ? (totalHours / filteredSessions.length).toFixed(2) : "0"}
-          </div>
-          <div className="text-xs text-gray-600">Avg Hours</div>
-        </div>
-      </div>
-
-      {/* Date filter & export */}
-      <div className="flex flex-wrap gap-2 items-end">
-        <div className="flex-1 min-w-[140px]">
-          <label className="block text-xs text-gray-500 mb-1">Start Date</label>
-          <input
-            type="date"
-            value={dateRange.start}
-            onChange={(e) => setDateRange((prev) => ({ ...prev, start: e.target.value }))}
-            className="w-full px-2 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-          />
-        </div>
-        <div className="flex-1 min-w-[140px]">
-          <label className="block text-xs text-gray-500 mb-1">End Date</label>
-          <input
-            type="date"
-            value={dateRange.end}
-            onChange={(e) => setDateRange((prev) => ({ ...prev, end: e.target.value }))}
-            className="w-full px-2 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-          />
-        </div>
-        <div className="flex gap-2">
-          {(dateRange.start || dateRange.end) && (
+      {/* Tabs */}
+      {can("audit.view") && (
+        <div className="flex border-b border-gray-200 text-sm">
+          {[
+            ["sessions", "Sessions"],
+            ["activity", "Activity"],
+          ].map(([value, label]) => (
             <button
-              onClick={() => setDateRange({ start: "", end: "" })}
-              className="px-3 py-1.5 bg-gray-500 text-white text-sm rounded-md hover:bg-gray-600"
+              key={value}
+              onClick={() => setTab(value)}
+              className={`px-4 py-2 -mb-px border-b-2 font-medium ${
+                tab === value
+                  ? "border-blue-600 text-blue-600"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              }`}
             >
-              Clear
+              {label}
             </button>
-          )}
-          <button
-            onClick={exportSessions}
-            className="px-3 py-1.5 bg-green-600 text-white text-sm rounded-md hover:bg-green-700"
-          >
-            Export CSV
-          </button>
+          ))}
         </div>
-      </div>
+      )}
 
-      {/* Sessions table */}
-      {filteredSessions.length === 0 ? (
-        <div className="text-center py-6 text-gray-500">
-          {sortedSessions.length === 0 ? "No sessions recorded." : "No sessions in the selected date range."}
-        </div>
+      {tab === "activity" ? (
+        <StudentActivity studentId={studentId} />
       ) : (
-        <div className="overflow-x-auto border border-gray-200 rounded-lg">
-          <table className="min-w-full divide-y divide-gray-200 text-sm">
-            <thead className="bg-gray-50">
-              <tr>
-                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">#</th>
-                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Check-in</th>
-                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Check-out</th>
-                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Hours</th>
-                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase"></th>
-              </tr>
-            </thead>
-            <tbody className="divide-y divide-gray-200">
-              {filteredSessions.map((session, index) => {
-                const isActive = !session.checkout;
-                return (
-                  <tr key={index} className={index === 0 ? "bg-green-50" : ""}>
-                    <td className="px-4 py-2 whitespace-nowrap">
-                      {index === 0 && (
-                        <span className="inline-flex items-center px-1.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800 mr-1">
-                          Latest
-                        </span>
-                      )}
-                      {isActive && (
-                        <span className="inline-flex items-center px-1.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800 mr-1">
-                          Active
-                        </span>
-                      )}
-                      {filteredSessions.length - index}
-                    </td>
-                    <td className="px-4 py-2 whitespace-nowrap">{formatDate(session.checkin)}</td>
-                    <td className={`px-4 py-2 whitespace-nowrap ${isActive ? "text-yellow-600 font-medium" : ""}`}>
-                      {session.checkout ? formatDate(session.checkout) : "In Progress"}
-                    </td>
-                    <td className="px-4 py-2 whitespace-nowrap font-semibold">
-                      {session.hours ? session.hours.toFixed(2) : "-"}
-                    </td>
-                    <td className="px-4 py-2 whitespace-nowrap">
-                      <button
-                        onClick={() => deleteSession(student.sessions.indexOf(session))}
-                        className="text-red-600 hover:text-red-900 text-xs"
-                      >
-                        Delete
-                      </button>
-                    </td>
+        <>
+          {/* Stats */}
+          <div className="grid grid-cols-3 gap-3">
+            <div className="text-center p-3 bg-blue-50 rounded-lg">
+              <div className="text-xl font-bold text-blue-600">{filteredSessions.length}</div>
+              <div className="text-xs text-gray-600">Sessions</div>
+            </div>
+            <div className="text-center p-3 bg-purple-50 rounded-lg">
+              <div className="text-xl font-bold text-purple-600">{totalHours.toFixed(2)}</div>
+              <div className="text-xs text-gray-600">Total Hours</div>
+            </div>
+            <div className="text-center p-3 bg-green-50 rounded-lg">
+              <div className="text-xl font-bold text-green-600">
+                {filteredSessions.length > 0 ? (totalHours / filteredSessions.length).toFixed(2) : "0"}
+              </div>
+              <div className="text-xs text-gray-600">Avg Hours</div>
+            </div>
+          </div>
+
+          <CurriculumProgress student={student} curriculum={curriculum} />
+
+          <GameHoursBreakdown sessions={filteredSessions} />
+
+          {/* Date filter & export */}
+          <div className="flex flex-wrap gap-2 items-end">
+            <div className="flex-1 min-w-[140px]">
+              <label className="block text-xs text-gray-500 mb-1">Start Date</label>
+              <input
+                type="date"
+                value={dateRange.start}
+                onChange={(e) => setDateRange((prev) => ({ ...prev, start: e.target.value }))}
+                className="w-full px-2 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div className="flex-1 min-w-[140px]">
+              <label className="block text-xs text-gray-500 mb-1">End Date</label>
+              <input
+                type="date"
+                value={dateRange.end}
+                onChange={(e) => setDateRange((prev) => ({ ...prev, end: e.target.value }))}
+                className="w-full px-2 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div className="flex gap-2">
+              {(dateRange.start || dateRange.end) && (
+                <button
+                  onClick={() => setDateRange({ start: "", end: "" })}
+                  className="px-3 py-1.5 bg-gray-500 text-white text-sm rounded-md hover:bg-gray-600"
+                >
+                  Clear
+                </button>
+              )}
+              {can("sessions.edit") && (
+                <button
+                  onClick={() => setEditingSession("new")}
+                  className="px-3 py-1.5 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700"
+                >
+                  Add Session
+                </button>
+              )}
+              <button
+                onClick={exportSessions}
+                className="px-3 py-1.5 bg-green-600 text-white text-sm rounded-md hover:bg-green-700"
+              >
+                Export CSV
+              </button>
+            </div>
+          </div>
+
+          {sessionError && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+              <p className="text-red-700 text-sm">{sessionError}</p>
+            </div>
+          )}
+
+          {editingSession && (
+            <SessionEditor
+              key={editingSession === "new" ? "new" : editingSession._id}
+              studentId={studentId}
+              session={editingSession === "new" ? null : editingSession}
+              games={student.games}
+              onSaved={() => {
+                setEditingSession(null);
+                setSessionError("");
+                fetchStudent();
+                onRefresh();
+              }}
+              onNotFound={handleSessionNotFound}
+              onCancel={() => setEditingSession(null)}
+            />
+          )}
+
+          {/* Sessions table */}
+          {filteredSessions.length === 0 ? (
+            <div className="text-center py-6 text-gray-500">
+              {sortedSessions.length === 0 ? "No sessions recorded." : "No sessions in the selected date range."}
+            </div>
+          ) : (
+            <div className="overflow-x-auto border border-gray-200 rounded-lg">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">#</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Check-in</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Check-out</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Hours</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Games</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase"></th>
                   </tr>
-                );
-              })}
-            </tbody>
-          </table>
-        </div>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {filteredSessions.map((session, index) => {
+                    const isActive = !session.checkout;
+                    return (
+                      <tr key={session._id} className={index === 0 ? "bg-green-50" : ""}>
+                        <td className="px-4 py-2 whitespace-nowrap">
+                          {index === 0 && (
+                            <span className="inline-flex items-center px-1.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800 mr-1">
+                              Latest
+                            </span>
+                          )}
+                          {isActive && (
+                            <span className="inline-flex items-center px-1.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800 mr-1">
+                              Active
+                            </span>
+                          )}
+                          {isSessionEdited(session) && (
+                            <span
+                              title={formatSessionCorrections(session)}
+                              className="inline-flex items-center px-1.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800 mr-1"
+                            >
+                              Edited
+                            </span>
+                          )}
+                          {isSystemClosed(session) && (
+                            <span
+                              title={formatSystemClosed(session)}
+                              className="inline-flex items-center px-1.5 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800 mr-1"
+                            >
+                              System closed
+                            </span>
+                          )}
+                          {filteredSessions.length - index}
+                        </td>
+                        <td className="px-4 py-2 whitespace-nowrap">{formatDate(session.checkin)}</td>
+                        <td className={`px-4 py-2 whitespace-nowrap ${isActive ? "text-yellow-600 font-medium" : ""}`}>
+                          {session.checkout ? formatDate(session.checkout) : "In Progress"}
+                        </td>
+                        <td className="px-4 py-2 whitespace-nowrap font-semibold">
+                          {session.hours ? session.hours.toFixed(2) : "-"}
+                        </td>
+                        <td className="px-4 py-2 text-xs text-gray-600">
+                          {formatSessionGames(session, catalogs) || "-"}
+                        </td>
+                        <td className="px-4 py-2 whitespace-nowrap space-x-2">
+                          {can("sessions.edit") && (
+                            <button
+                              onClick={() => setEditingSession(session)}
+                              className="text-blue-600 hover:text-blue-900 text-xs"
+                            >
+                              {isActive ? "Close" : "Edit"}
+                            </button>
+                          )}
+                          {can("sessions.delete") && (
+                            <button
+                              onClick={() => deleteSession(session._id)}
+                              className="text-red-600 hover:text-red-900 text-xs"
+                            >
+                              Delete
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
       )}
     </div>
   );
 };
 
+// Audit trail for one student (drawer "Activity" tab)
+const StudentActivity = ({ studentId }) => {
+  const API = process.env.NEXT_PUBLIC_API_URL;
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    fetchActivity();
+  }, [studentId]);
+
+  const fetchActivity = async () => {
+    setLoading(true);
+    try {
+      const response = await authFetch(
+        `${API}/audit${buildAuditQuery({ studentId })}`
+      );
+      if (response.ok) {
+        setEntries(await response.json());
+      } else {
+        setError("Failed to fetch activity");
+      }
+    } catch (err) {
+      setError("Error connecting to server");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) return <div className="text-center py-6 text-gray-500">Loading...</div>;
+  if (error) return <div className="text-center py-6 text-red-600">{error}</div>;
+
+  return (
+    <div className="space-y-2">
+      <div className="border border-gray-200 rounded-lg">
+        <AuditLogTable entries={entries} showStudent={false} />
+      </div>
+      <Link
+        href={`/admin/audit?studentId=${studentId}`}
+        className="text-sm text-blue-600 hover:text-blue-800"
+      >
+        Open in Audit Log →
+      </Link>
+    </div>
+  );
+};
+
 // Student Form Component (for Add/Edit)
-const StudentForm = ({ student, onSave, onCancel }) => {
+const StudentForm = ({ student, students, pinPolicy, onSave, onCancel }) => {
   const API = process.env.NEXT_PUBLIC_API_URL;
+  const { can } = useStaff();
+  const catalogs = useCatalogs();
   const [formData, setFormData] = useState({
     firstName: student?.firstName || "",
     lastName: student?.lastName || "",
-    pin: student?.pin || "",
+    pin: String(student?.pin ?? ""),
     idNumber: student?.idNumber || "",
     email: student?.email || "",
     phone: student?.phone || "",
@@ -1124,29 +1706,19 @@ const StudentForm = ({ student, onSave, onCancel }) => {
     games: student?.games || [],
     notes: student?.notes || "",
   });
+  const [staffPassword, setStaffPassword] = useState("");
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
+  const [pinError, setPinError] = useState("");
+  const [pinLockedUntil, setPinLockedUntil] = useState(
+    student?.pinLockedUntil && new Date(student.pinLockedUntil) > new Date()
+      ? student.pinLockedUntil
+      : null
+  );
 
-  const gameOptions = [
-    "craps",
-    "roulette",
-    "blackjack",
-    "baccarat",
-    "poker",
-    "pai-gow",
-    "keno",
-    "uth",
-    "sic-bo",
-    "sr",
-  ];
-  const statusOptions = [
-    "Current Student",
-    "Suspended",
-    "Paused",
-    "Graduate",
-    "Other",
-    "",
-  ];
+  // Retired statuses and games stay selectable on records that already have them
+  const statusOptions = getCatalogOptions(catalogs.statuses, student?.status);
+  const gameOptions = getCatalogOptions(catalogs.games, student?.games || []);
   const stateOptions = [
     "AL",
     "AK",
@@ -1200,7 +1772,32 @@ const StudentForm = ({ student, onSave, onCancel }) => {
     "WY",
   ];
 
+  // Unchanged PINs are kept even if they predate the current rules
+  // PINs stored as numbers compare as strings
+  const pinChanged = !student || formData.pin.trim() !== String(student.pin ?? "");
+  const existingPinProblem = pinChanged
+    ? ""
+    : validatePin(formData.pin.trim(), pinPolicy, students, student._id);
+
+  const generateNewPin = () => {
+    const pin = generatePin(pinPolicy, getTakenPins(students));
+    if (pin) {
+      setFormData((prev) => ({ ...prev, pin }));
+      setPinError("");
+    } else {
+      setPinError("No unused PIN found; raise the minimum length in Settings");
+    }
+  };
+
   const handleSubmit = async () => {
+    if (pinChanged) {
+      const message = validatePin(formData.pin.trim(), pinPolicy, students, student?._id);
+      if (message) {
+        setPinError(message);
+        return;
+      }
+    }
+
     setLoading(true);
     setError("");
 
@@ -1215,7 +1812,14 @@ const StudentForm = ({ student, onSave, onCancel }) => {
         payload.statusChangedDate = new Date().toISOString();
       }
 
-      const response = await fetch(url, {
+      // Only owners may grant staff roles or set staff passwords
+      if (!can("staff.manage")) {
+        delete payload.roles;
+      } else if (staffPassword) {
+        payload.password = staffPassword;
+      }
+
+      const response = await authFetch(url, {
         method,
         headers: {
           "Content-Type": "application/json",
@@ -1225,6 +1829,10 @@ const StudentForm = ({ student, onSave, onCancel }) => {
 
       if (response.ok) {
         onSave();
+      } else if (response.status === 403) {
+        setError("You do not have permission to make this change");
+      } else if (response.status === 409) {
+        setPinError("PIN is already used by another student");
       } else {
         setError("Failed to save student");
       }
@@ -1235,6 +1843,76 @@ const StudentForm = ({ student, onSave, onCancel }) => {
     }
   };
 
+  const [badgeCode, setBadgeCode] = useState(student?.badgeCode || "");
+
+  // Issuing a new badge invalidates any badge printed before it
+  const issueBadge = async () => {
+    if (
+      badgeCode &&
+      !confirm("Regenerate this badge? The current badge will stop working.")
+    )
+      return;
+
+    setError("");
+    try {
+      const response = await authFetch(`${API}/users/${student._id}/badge`, {
+        method: "POST",
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setBadgeCode(data.badgeCode);
+      } else {
+        setError("Failed to generate badge");
+      }
+    } catch (err) {
+      setError("Error connecting to server");
+    }
+  };
+
+  const revokeBadge = async () => {
+    if (!confirm("Revoke this badge? It will no longer work at the kiosk."))
+      return;
+
+    setError("");
+    try {
+      const response = await authFetch(`${API}/users/${student._id}/badge`, {
+        method: "DELETE",
+      });
+      if (response.ok) {
+        setBadgeCode("");
+      } else {
+        setError("Failed to revoke badge");
+      }
+    } catch (err) {
+      setError("Error connecting to server");
+    }
+  };
+
+  const clearLockout = async () => {
+    setError("");
+    try {
+      const response = await authFetch(`${API}/users/${student._id}/lockout`, {
+        method: "DELETE",
+      });
+      if (response.ok) {
+        setPinLockedUntil(null);
+      } else {
+        setError("Failed to clear PIN lockout");
+      }
+    } catch (err) {
+      setError("Error connecting to server");
+    }
+  };
+
+  const handleRoleToggle = (role) => {
+    setFormData((prev) => ({
+      ...prev,
+      roles: prev.roles.includes(role)
+        ? prev.roles.filter((r) => r !== role)
+        : [...prev.roles, role],
+    }));
+  };
+
   const handleGameToggle = (game) => {
     setFormData((prev) => ({
       ...prev,
@@ -1247,6 +1925,24 @@ const StudentForm = ({ student, onSave, onCancel }) => {
   return (
     <div className="p-6">
       <div className="space-y-4">
+        {pinLockedUntil && (
+          <div className="flex items-center justify-between p-3 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-red-700 text-sm">
+              Kiosk PIN entry is locked until{" "}
+              {new Date(pinLockedUntil).toLocaleString()} after repeated
+              incorrect attempts.
+            </p>
+            {can("security.manage") && (
+              <button
+                onClick={clearLockout}
+                className="ml-4 px-3 py-1.5 bg-red-600 text-white text-sm rounded-md hover:bg-red-700 whitespace-nowrap"
+              >
+                Clear Lockout
+              </button>
+            )}
+          </div>
+        )}
+
         {/* Basic Information */}
         <div className="border-b pb-4">
           <h4 className="font-medium text-gray-700 mb-3">Basic Information</h4>
@@ -1288,15 +1984,40 @@ const StudentForm = ({ student, onSave, onCancel }) => {
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 PIN *
               </label>
-              <input
-                type="text"
-                required
-                value={formData.pin}
-                onChange={(e) =>
-                  setFormData((prev) => ({ ...prev, pin: e.target.value }))
-                }
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  required
+                  value={formData.pin}
+                  inputMode={pinPolicy.digitsOnly ? "numeric" : undefined}
+                  onChange={(e) => {
+                    setFormData((prev) => ({ ...prev, pin: e.target.value }));
+                    setPinError("");
+                  }}
+                  className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                    pinError ? "border-red-400" : "border-gray-300"
+                  }`}
+                />
+                <button
+                  type="button"
+                  onClick={generateNewPin}
+                  className="px-3 py-2 bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200 text-sm whitespace-nowrap"
+                >
+                  Generate PIN
+                </button>
+              </div>
+              {pinError ? (
+                <p className="text-xs text-red-600 mt-1">{pinError}</p>
+              ) : existingPinProblem ? (
+                <p className="text-xs text-yellow-700 mt-1">
+                  {existingPinProblem}. It still works; generate a new one to
+                  replace it.
+                </p>
+              ) : (
+                <p className="text-xs text-gray-500 mt-1">
+                  {describePinPolicy(pinPolicy)}
+                </p>
+              )}
             </div>
 
             <div>
@@ -1325,10 +2046,12 @@ const StudentForm = ({ student, onSave, onCancel }) => {
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
               >
                 {statusOptions.map((status) => (
-                  <option key={status} value={status}>
-                    {status || "None"}
+                  <option key={status.value} value={status.value}>
+                    {status.label}
+                    {!status.active && " (retired)"}
                   </option>
                 ))}
+                <option value="">None</option>
               </select>
             </div>
           </div>
@@ -1526,19 +2249,108 @@ const StudentForm = ({ student, onSave, onCancel }) => {
           </label>
           <div className="grid grid-cols-3 gap-2">
             {gameOptions.map((game) => (
-              <label key={game} className="flex items-center space-x-2">
+              <label key={game.value} className="flex items-center space-x-2">
                 <input
                   type="checkbox"
-                  checked={formData.games.includes(game)}
-                  onChange={() => handleGameToggle(game)}
+                  checked={formData.games.includes(game.value)}
+                  onChange={() => handleGameToggle(game.value)}
                   className="rounded"
                 />
-                <span className="text-sm">{getGameDisplayName(game)}</span>
+                <span className="text-sm">
+                  {game.label}
+                  {!game.active && " (retired)"}
+                </span>
               </label>
             ))}
           </div>
         </div>
 
+        {/* Badge */}
+        {student && (
+          <div className="border-t pt-4">
+            <h4 className="font-medium text-gray-700 mb-3">Badge</h4>
+            {badgeCode ? (
+              <div className="p-3 border border-gray-200 rounded-md">
+                <Barcode value={badgeCode} className="w-full h-16" />
+                <p className="text-xs text-center font-mono text-gray-600 mt-1">
+                  {badgeCode}
+                </p>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">
+                No badge issued. Students can still check in with their name
+                and PIN.
+              </p>
+            )}
+            <div className="flex flex-wrap gap-2 mt-3">
+              <button
+                onClick={issueBadge}
+                className="px-3 py-1.5 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700"
+              >
+                {badgeCode ? "Regenerate Badge" : "Generate Badge"}
+              </button>
+              {badgeCode && (
+                <>
+                  <button
+                    onClick={() =>
+                      printBadges([{ ...student, ...formData, badgeCode }], catalogs)
+                    }
+                    className="px-3 py-1.5 bg-green-600 text-white text-sm rounded-md hover:bg-green-700"
+                  >
+                    Print Badge
+                  </button>
+                  <button
+                    onClick={revokeBadge}
+                    className="px-3 py-1.5 bg-red-600 text-white text-sm rounded-md hover:bg-red-700"
+                  >
+                    Revoke Badge
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Staff Access */}
+        {can("staff.manage") && (
+          <div className="border-t pt-4">
+            <h4 className="font-medium text-gray-700 mb-1">Staff Access</h4>
+            <p className="text-xs text-gray-500 mb-3">
+              Staff sign in to the admin pages with their email and password.
+            </p>
+            <div className="grid grid-cols-3 gap-2">
+              {Object.entries(STAFF_ROLES).map(([role, label]) => (
+                <label key={role} className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={formData.roles.includes(role)}
+                    onChange={() => handleRoleToggle(role)}
+                    className="rounded"
+                  />
+                  <span className="text-sm">{label}</span>
+                </label>
+              ))}
+            </div>
+            {formData.roles.some((role) => role in STAFF_ROLES) && (
+              <div className="mt-3">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {student?.hasPassword ? "New password" : "Password"}
+                </label>
+                <input
+                  type="password"
+                  value={staffPassword}
+                  onChange={(e) => setStaffPassword(e.target.value)}
+                  autoComplete="new-password"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder={
+                    student?.hasPassword ? "Leave blank to keep the current password" : ""
+                  }
+                />
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Notes */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -1581,4 +2393,10 @@ const StudentForm = ({ student, onSave, onCancel }) => {
   );
 };
 
-export default AdminPanel;
+const AdminPanelPage = () => (
+  <RequireStaff>
+    <AdminPanel />
+  </RequireStaff>
+);
+
+export default AdminPanelPage;
@@ -0,0 +1,186 @@
+// pages/admin/audit.js - Audit trail of admin changes, by student and date
+import React, { useState, useEffect } from "react";
+import { useRouter } from "next/router";
+import Link from "next/link";
+import Head from "next/head";
+import AdminNav from "@/components/AdminNav";
+import AuditLogTable from "@/components/AuditLogTable";
+import RequireStaff from "@/components/RequireStaff";
+import { authFetch } from "@/lib/auth";
+import { buildAuditQuery } from "@/lib/audit";
+
+const API = process.env.NEXT_PUBLIC_API_URL;
+
+const AdminAudit = () => {
+  const router = useRouter();
+  const [entries, setEntries] = useState([]);
+  const [students, setStudents] = useState([]);
+  const [studentId, setStudentId] = useState("");
+  const [dateRange, setDateRange] = useState({ start: "", end: "" });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    fetchStudents();
+  }, []);
+
+  // ?studentId= preselects a student, e.g. when linked from their history
+  useEffect(() => {
+    if (router.isReady && router.query.studentId) {
+      setStudentId(router.query.studentId);
+    }
+  }, [router.isReady, router.query.studentId]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [studentId, dateRange]);
+
+  const fetchStudents = async () => {
+    try {
+      const response = await authFetch(`${API}/users`);
+      const data = await response.json();
+      setStudents(
+        data.sort((a, b) =>
+          `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`)
+        )
+      );
+    } catch (err) {
+      console.error("Failed to fetch students:", err);
+    }
+  };
+
+  const fetchEntries = async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const response = await authFetch(
+        `${API}/audit${buildAuditQuery({ studentId, ...dateRange })}`
+      );
+      if (response.ok) {
+        setEntries(await response.json());
+      } else {
+        setError("Failed to fetch audit log");
+      }
+    } catch (err) {
+      setError("Error connecting to server");
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Audit Log - Admin Panel</title>
+        <meta name="description" content="Record of changes made by staff" />
+      </Head>
+
+      <div className="min-h-screen bg-gray-100">
+        {/* Navigation */}
+        <AdminNav active="/admin/audit" />
+
+        {/* Content */}
+        <div className="container mx-auto p-4">
+          <div className="space-y-6">
+            <div>
+              <Link
+                href="/admin"
+                className="text-blue-600 hover:text-blue-800 mb-2 inline-block"
+              >
+                ← Back to Admin Panel
+              </Link>
+              <h2 className="text-3xl font-bold text-gray-900">Audit Log</h2>
+              <p className="text-gray-600 mt-1">
+                Every change made to students, sessions and settings, and who
+                made it
+              </p>
+            </div>
+
+            {/* Filters */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Student
+                  </label>
+                  <select
+                    value={studentId}
+                    onChange={(e) => setStudentId(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">All students and settings</option>
+                    {students.map((s) => (
+                      <option key={s._id} value={s._id}>
+                        {`${s.lastName || ""}, ${s.firstName || ""}`}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    From
+                  </label>
+                  <input
+                    type="date"
+                    value={dateRange.start}
+                    onChange={(e) =>
+                      setDateRange((prev) => ({ ...prev, start: e.target.value }))
+                    }
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    To
+                  </label>
+                  <input
+                    type="date"
+                    value={dateRange.end}
+                    onChange={(e) =>
+                      setDateRange((prev) => ({ ...prev, end: e.target.value }))
+                    }
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              </div>
+              {(studentId || dateRange.start || dateRange.end) && (
+                <button
+                  onClick={() => {
+                    setStudentId("");
+                    setDateRange({ start: "", end: "" });
+                  }}
+                  className="mt-4 text-sm text-blue-600 hover:text-blue-800"
+                >
+                  Clear filters
+                </button>
+              )}
+            </div>
+
+            {error && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+                <p className="text-red-700">{error}</p>
+              </div>
+            )}
+
+            <div className="bg-white rounded-lg shadow-md">
+              {loading ? (
+                <div className="text-center py-8 text-gray-500">Loading...</div>
+              ) : (
+                <AuditLogTable entries={entries} />
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+const AdminAuditPage = () => (
+  <RequireStaff permission="audit.view">
+    <AdminAudit />
+  </RequireStaff>
+);
+
+export default AdminAuditPage;
@@ -0,0 +1,458 @@
+// pages/admin/duplicates.js - Find students entered twice and merge them
+import React, { useState, useEffect, useMemo } from "react";
+import Link from "next/link";
+import Head from "next/head";
+import AdminNav from "@/components/AdminNav";
+import RequireStaff from "@/components/RequireStaff";
+import { authFetch, useStaff } from "@/lib/auth";
+import {
+  DEFAULT_CATALOGS,
+  getCatalogs,
+  getGameDisplayName,
+  getStatusLabel,
+} from "@/lib/catalog";
+import {
+  LIKELY_DUPLICATE_SCORE,
+  MERGE_FIELDS,
+  buildMergedStudent,
+  findDuplicates,
+  getDefaultMergeChoices,
+  pickSurvivor,
+} from "@/lib/duplicates";
+
+const API = process.env.NEXT_PUBLIC_API_URL;
+
+const getFullName = (student) =>
+  `${student.firstName || ""} ${student.lastName || ""}`.trim();
+
+// Duplicates often share a name, so add what tells the records apart
+const describeRecord = (student) => {
+  const detail = student.email || (student.idNumber && `ID ${student.idNumber}`);
+  return detail ? `${getFullName(student)} (${detail})` : getFullName(student);
+};
+
+const getTotalHours = (student) =>
+  (student.sessions || []).reduce((total, session) => total + (session.hours || 0), 0);
+
+const formatFieldValue = (field, value, catalogs) => {
+  if (!value) return "—";
+  if (field.type === "date") {
+    return new Date(`${String(value).slice(0, 10)}T00:00:00`).toLocaleDateString();
+  }
+  if (field.key === "status") return getStatusLabel(catalogs, value);
+  return String(value);
+};
+
+const StudentSummary = ({ student }) => (
+  <div>
+    <Link
+      href={`/admin/student/${student._id}`}
+      className="text-blue-600 hover:text-blue-900 font-medium"
+    >
+      {getFullName(student)}
+    </Link>
+    <div className="text-xs text-gray-500">
+      {[student.email, student.phone, student.idNumber && `ID ${student.idNumber}`]
+        .filter(Boolean)
+        .join(" · ")}
+    </div>
+    <div className="text-xs text-gray-500">
+      {student.sessions?.length || 0} sessions · {getTotalHours(student).toFixed(2)} hours
+    </div>
+  </div>
+);
+
+const AdminDuplicates = () => {
+  const { can } = useStaff();
+  const [students, setStudents] = useState([]);
+  const [nicknames, setNicknames] = useState();
+  const [catalogs, setCatalogs] = useState(DEFAULT_CATALOGS);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+  // { survivor, duplicate, choices } while the merge panel is open
+  const [merge, setMerge] = useState(null);
+  const [merging, setMerging] = useState(false);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    setLoading(true);
+    try {
+      const [studentsResponse, settingsResponse] = await Promise.all([
+        authFetch(`${API}/users`),
+        authFetch(`${API}/settings`),
+      ]);
+      const [studentsData, settingsData] = await Promise.all([
+        studentsResponse.json(),
+        settingsResponse.json(),
+      ]);
+      setCatalogs(getCatalogs(settingsData[0]));
+      // A null setting means the default nicknames
+      setNicknames(settingsData[0]?.nicknames ?? undefined);
+      setStudents(studentsData);
+    } catch (err) {
+      setError("Failed to fetch students");
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Scoring the roster is the slow part; redo it only when the data changes
+  const pairs = useMemo(
+    () => findDuplicates(students, { nicknames }),
+    [students, nicknames]
+  );
+
+  const openMerge = ({ a, b }) => {
+    const survivor = pickSurvivor(a, b);
+    const duplicate = survivor === a ? b : a;
+    setSuccess("");
+    setMerge({ survivor, duplicate, choices: getDefaultMergeChoices(survivor, duplicate) });
+  };
+
+  // Keep the other record; a field chosen from one side stays with that side
+  const swapSurvivor = () =>
+    setMerge(({ survivor, duplicate, choices }) => ({
+      survivor: duplicate,
+      duplicate: survivor,
+      choices: Object.fromEntries(
+        Object.entries(choices).map(([key, side]) => [
+          key,
+          side === "survivor" ? "duplicate" : "survivor",
+        ])
+      ),
+    }));
+
+  const setChoice = (key, side) =>
+    setMerge((prev) => ({ ...prev, choices: { ...prev.choices, [key]: side } }));
+
+  // Remembered on the first student; findDuplicates checks both sides
+  const markNotDuplicates = async ({ a, b }) => {
+    try {
+      const notDuplicateOf = [...(a.notDuplicateOf || []), b._id];
+      const response = await authFetch(`${API}/users/${a._id}`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ notDuplicateOf }),
+      });
+      if (response.ok) {
+        setStudents((prev) =>
+          prev.map((s) => (s._id === a._id ? { ...s, notDuplicateOf } : s))
+        );
+      } else {
+        setError("Failed to update student");
+      }
+    } catch (err) {
+      setError("Error connecting to server");
+    }
+  };
+
+  // The API updates the survivor, moves the duplicate's sessions onto it and
+  // archives the duplicate with mergedInto pointing at the survivor.
+  // duplicateFields are applied to the duplicate first: its PIN and badge
+  // are cleared so they stop working at the kiosk and can move to the
+  // survivor without a 409.
+  const submitMerge = async () => {
+    const { survivor, duplicate, choices } = merge;
+    const sessionCount = duplicate.sessions?.length || 0;
+    if (
+      !confirm(
+        `Merge ${describeRecord(duplicate)} into ${describeRecord(survivor)}?\n\n` +
+          `${sessionCount} session${sessionCount !== 1 ? "s" : ""} will move to the ` +
+          `record kept, and ${describeRecord(duplicate)} will be archived.`
+      )
+    )
+      return;
+
+    setMerging(true);
+    setError("");
+    try {
+      const response = await authFetch(`${API}/users/${survivor._id}/merge`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          duplicateId: duplicate._id,
+          fields: buildMergedStudent(survivor, duplicate, choices),
+          duplicateFields: { pin: "", badgeCode: "" },
+        }),
+      });
+      if (response.ok) {
+        setSuccess(
+          `Merged ${getFullName(duplicate)} into ${getFullName(survivor)}`
+        );
+        setMerge(null);
+        fetchData();
+      } else {
+        const errorData = await response.json().catch(() => ({}));
+        setError(
+          errorData.error ||
+            (response.status === 409
+              ? "That PIN or ID number belongs to another student"
+              : "Failed to merge students")
+        );
+      }
+    } catch (err) {
+      setError("Error connecting to server");
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  const merged = merge
+    ? buildMergedStudent(merge.survivor, merge.duplicate, merge.choices)
+    : null;
+
+  return (
+    <>
+      <Head>
+        <title>Duplicates - Admin Panel</title>
+        <meta name="description" content="Find and merge duplicate students" />
+      </Head>
+
+      <div className="min-h-screen bg-gray-100">
+        {/* Navigation */}
+        <AdminNav active="/admin/duplicates" />
+
+        {/* Content */}
+        <div className="container mx-auto p-4">
+          <div className="space-y-6">
+            <div>
+              <Link
+                href="/admin"
+                className="text-blue-600 hover:text-blue-800 mb-2 inline-block"
+              >
+                ← Back to Admin Panel
+              </Link>
+              <h2 className="text-3xl font-bold text-gray-900">Duplicates</h2>
+              <p className="text-gray-600 mt-1">
+                Students who may have been entered more than once
+              </p>
+            </div>
+
+            {error && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+                <p className="text-red-700">{error}</p>
+              </div>
+            )}
+            {success && (
+              <div className="p-3 bg-green-50 border border-green-200 rounded-md">
+                <p className="text-green-700">{success}</p>
+              </div>
+            )}
+
+            {/* Merge */}
+            {merge && (
+              <div className="bg-white rounded-lg shadow-md">
+                <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap justify-between items-end gap-4">
+                  <div>
+                    <h3 className="text-lg font-semibold">Merge Students</h3>
+                    <p className="text-sm text-gray-600 mt-1">
+                      Choose which value to keep for each field. Sessions and
+                      games are combined and notes are joined; the other
+                      record is archived with a link to the one kept, and its
+                      PIN and badge stop working.
+                    </p>
+                  </div>
+                  <button
+                    onClick={swapSurvivor}
+                    className="px-3 py-1.5 bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200 text-sm"
+                  >
+                    Keep the other record
+                  </button>
+                </div>
+
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Field
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Kept: {getFullName(merge.survivor)}
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Archived: {getFullName(merge.duplicate)}
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {MERGE_FIELDS.map((field) => (
+                        <tr key={field.key}>
+                          <td className="px-6 py-2 whitespace-nowrap font-medium text-gray-700">
+                            {field.label}
+                          </td>
+                          {["survivor", "duplicate"].map((side) => (
+                            <td key={side} className="px-6 py-2">
+                              <label className="flex items-center space-x-2">
+                                <input
+                                  type="radio"
+                                  name={`merge-${field.key}`}
+                                  checked={merge.choices[field.key] === side}
+                                  onChange={() => setChoice(field.key, side)}
+                                />
+                                <span
+                                  className={
+                                    merge.survivor[field.key] === merge.duplicate[field.key]
+                                      ? "text-gray-500"
+                                      : "text-gray-900"
+                                  }
+                                >
+                                  {formatFieldValue(field, merge[side][field.key], catalogs)}
+                                </span>
+                              </label>
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                      <tr>
+                        <td className="px-6 py-2 font-medium text-gray-700">Games</td>
+                        <td className="px-6 py-2" colSpan={2}>
+                          {merged.games.map((game) => getGameDisplayName(catalogs, game)).join(", ") || "—"}
+                        </td>
+                      </tr>
+                      <tr>
+                        <td className="px-6 py-2 font-medium text-gray-700">Sessions</td>
+                        <td className="px-6 py-2" colSpan={2}>
+                          {(merge.survivor.sessions?.length || 0) +
+                            (merge.duplicate.sessions?.length || 0)}{" "}
+                          sessions,{" "}
+                          {(getTotalHours(merge.survivor) + getTotalHours(merge.duplicate)).toFixed(2)}{" "}
+                          hours
+                        </td>
+                      </tr>
+                      <tr>
+                        <td className="px-6 py-2 font-medium text-gray-700 align-top">Notes</td>
+                        <td className="px-6 py-2 whitespace-pre-wrap" colSpan={2}>
+                          {merged.notes || "—"}
+                        </td>
+                      </tr>
+                    </tbody>
+                  </table>
+                </div>
+
+                <div className="px-6 py-4 border-t border-gray-200 flex gap-2">
+                  <button
+                    onClick={submitMerge}
+                    disabled={merging || !can("students.archive")}
+                    title={
+                      can("students.archive")
+                        ? undefined
+                        : "Merging archives a student, which your role cannot do"
+                    }
+                    className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+                  >
+                    {merging ? "Merging..." : "Merge"}
+                  </button>
+                  <button
+                    onClick={() => setMerge(null)}
+                    className="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* Likely Duplicates */}
+            <div className="bg-white rounded-lg shadow-md">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h3 className="text-lg font-semibold">Possible Duplicates</h3>
+                <p className="text-sm text-gray-600 mt-1">
+                  Pairs scored on ID number, email, phone and how alike the
+                  names are. Archived students are not included.
+                </p>
+              </div>
+
+              {loading ? (
+                <div className="text-center py-8 text-gray-500">Loading...</div>
+              ) : pairs.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">
+                  No possible duplicates found.
+                </div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Student
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Possible Duplicate
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Match
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Actions
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {pairs.map((pair) => (
+                        <tr key={`${pair.a._id}:${pair.b._id}`}>
+                          <td className="px-6 py-4 text-sm">
+                            <StudentSummary student={pair.a} />
+                          </td>
+                          <td className="px-6 py-4 text-sm">
+                            <StudentSummary student={pair.b} />
+                          </td>
+                          <td className="px-6 py-4 text-sm">
+                            <span
+                              className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${
+                                pair.score >= LIKELY_DUPLICATE_SCORE
+                                  ? "bg-red-100 text-red-800"
+                                  : "bg-yellow-100 text-yellow-800"
+                              }`}
+                            >
+                              {pair.score >= LIKELY_DUPLICATE_SCORE ? "Likely" : "Possible"} ·{" "}
+                              {pair.score}
+                            </span>
+                            <div className="text-xs text-gray-500 mt-1">
+                              {pair.reasons.join(", ")}
+                            </div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-3">
+                            <button
+                              onClick={() => openMerge(pair)}
+                              className="text-blue-600 hover:text-blue-900"
+                            >
+                              Merge...
+                            </button>
+                            <button
+                              onClick={() => markNotDuplicates(pair)}
+                              className="text-gray-600 hover:text-gray-900"
+                            >
+                              Not Duplicates
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+const AdminDuplicatesPage = () => (
+  <RequireStaff permission="students.edit">
+    <AdminDuplicates />
+  </RequireStaff>
+);
+
+export default AdminDuplicatesPage;
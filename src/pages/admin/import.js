@@ -0,0 +1,589 @@
+// pages/admin/import.js - Bulk roster import from CSV or XLSX
+import React, { useState, useEffect } from "react";
+import Link from "next/link";
+import Head from "next/head";
+import AdminNav from "@/components/AdminNav";
+import RequireStaff from "@/components/RequireStaff";
+import { authFetch, useStaff } from "@/lib/auth";
+import { printHtml } from "@/lib/badges";
+import { renderPinHandout } from "@/lib/pinPolicy";
+import { readSpreadsheet } from "@/lib/spreadsheet";
+import {
+  IMPORT_FIELDS,
+  buildImportPlan,
+  guessMapping,
+  summarizeImportPlan,
+} from "@/lib/studentImport";
+
+const API = process.env.NEXT_PUBLIC_API_URL;
+
+const ACTION_STYLES = {
+  create: { label: "Create", className: "bg-green-100 text-green-800" },
+  update: { label: "Update", className: "bg-blue-100 text-blue-800" },
+  unchanged: { label: "Unchanged", className: "bg-gray-100 text-gray-700" },
+  error: { label: "Error", className: "bg-red-100 text-red-800" },
+};
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const getFullName = (student) =>
+  `${student.firstName || ""} ${student.lastName || ""}`.trim();
+
+const StudentImport = () => {
+  const { can } = useStaff();
+  const [step, setStep] = useState("upload");
+  const [fileName, setFileName] = useState("");
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [plan, setPlan] = useState([]);
+  const [actionFilter, setActionFilter] = useState("");
+  const [students, setStudents] = useState([]);
+  const [settings, setSettings] = useState(null);
+  const [batches, setBatches] = useState([]);
+  const [result, setResult] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    fetchStudents();
+    fetchSettings();
+    fetchBatches();
+  }, []);
+
+  const fetchStudents = async () => {
+    try {
+      const response = await authFetch(`${API}/users`);
+      const data = await response.json();
+      setStudents(data);
+    } catch (err) {
+      setError("Failed to fetch students");
+    }
+  };
+
+  // Statuses and games are matched against the catalogs, PINs against the rules
+  const fetchSettings = async () => {
+    try {
+      const response = await authFetch(`${API}/settings`);
+      const data = await response.json();
+      setSettings(data[0] || null);
+    } catch (err) {
+      console.error("Failed to fetch settings:", err);
+    }
+  };
+
+  // Past imports, newest first:
+  // [{ _id, fileName, createdAt, createdBy, created, updated, rolledBackAt }]
+  const fetchBatches = async () => {
+    try {
+      const response = await authFetch(`${API}/imports`);
+      const data = await response.json();
+      setBatches(data);
+    } catch (err) {
+      console.error("Failed to fetch imports:", err);
+    }
+  };
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setError("");
+    try {
+      // Blank rows are dropped, but each row keeps its number in the file
+      const sheetRows = (await readSpreadsheet(file))
+        .map((cells, i) => ({ cells, rowNumber: i + 1 }))
+        .filter(({ cells }) => cells.some((cell) => String(cell).trim()));
+      if (sheetRows.length < 2) {
+        setError("The file needs a header row and at least one student");
+        return;
+      }
+      setFileName(file.name);
+      setHeaders(sheetRows[0].cells.map((header) => String(header).trim()));
+      setRows(sheetRows.slice(1));
+      setMapping(guessMapping(sheetRows[0].cells));
+      setStep("map");
+    } catch (err) {
+      setError(err.message || "Could not read the file");
+    }
+  };
+
+  const showPreview = () => {
+    setPlan(buildImportPlan(rows, mapping, students, settings));
+    setActionFilter("");
+    setStep("preview");
+  };
+
+  const runImport = async () => {
+    const writes = plan.filter(
+      (row) => row.action === "create" || row.action === "update"
+    );
+    if (
+      !confirm(
+        `Import ${writes.length} student${writes.length !== 1 ? "s" : ""}? Rows with errors are skipped.`
+      )
+    )
+      return;
+
+    setImporting(true);
+    setError("");
+    try {
+      // The API writes the batch all-or-nothing and keeps what it replaced
+      // so the batch can be rolled back
+      const response = await authFetch(`${API}/imports`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          fileName,
+          rows: writes.map((row) => ({
+            rowNumber: row.rowNumber,
+            action: row.action,
+            studentId: row.student?._id || null,
+            data: row.data,
+          })),
+        }),
+      });
+
+      if (response.ok) {
+        setResult(await response.json());
+        setStep("done");
+        fetchStudents();
+        fetchBatches();
+      } else if (response.status === 403) {
+        setError("You do not have permission to import students");
+      } else {
+        const errorData = await response.json().catch(() => ({}));
+        setError(errorData.error || "Import failed. Nothing was saved.");
+      }
+    } catch (err) {
+      setError("Error connecting to server");
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const rollBack = async (batch) => {
+    if (
+      !confirm(
+        `Roll back the import of ${batch.fileName}? ${batch.created} created student(s) will be deleted and ${batch.updated} updated student(s) restored.`
+      )
+    )
+      return;
+
+    setError("");
+    try {
+      const response = await authFetch(`${API}/imports/${batch._id}/rollback`, {
+        method: "POST",
+      });
+      if (response.ok) {
+        fetchBatches();
+        fetchStudents();
+      } else {
+        const errorData = await response.json().catch(() => ({}));
+        setError(errorData.error || "Failed to roll back the import");
+      }
+    } catch (err) {
+      setError("Error connecting to server");
+    }
+  };
+
+  const startOver = () => {
+    setStep("upload");
+    setFileName("");
+    setHeaders([]);
+    setRows([]);
+    setPlan([]);
+    setResult(null);
+    setError("");
+  };
+
+  // New students whose PIN was generated, to hand their PINs out
+  const generatedPins = plan.filter((row) => row.generatedPin);
+
+  const printPinHandout = () =>
+    printHtml(
+      renderPinHandout(
+        generatedPins.map((row) => ({ student: row.data, pin: row.data.pin }))
+      )
+    );
+
+  const summary = summarizeImportPlan(plan);
+  const visiblePlan = actionFilter
+    ? plan.filter((row) => row.action === actionFilter)
+    : plan;
+  const requiredMapped = IMPORT_FIELDS.filter((field) => field.required).every(
+    (field) => mapping[field.key] !== null && mapping[field.key] !== undefined
+  );
+
+  return (
+    <>
+      <Head>
+        <title>Import Students - Admin Panel</title>
+        <meta name="description" content="Import students from a spreadsheet" />
+      </Head>
+
+      <div className="min-h-screen bg-gray-100">
+        {/* Navigation */}
+        <AdminNav active="/admin/import" />
+
+        {/* Content */}
+        <div className="container mx-auto p-4">
+          <div className="space-y-6">
+            <div>
+              <Link
+                href="/admin"
+                className="text-blue-600 hover:text-blue-800 mb-2 inline-block"
+              >
+                ← Back to Admin Panel
+              </Link>
+              <h2 className="text-3xl font-bold text-gray-900">Import Students</h2>
+              <p className="text-gray-600 mt-1">
+                Add or update a cohort from a CSV or Excel (.xlsx) file
+              </p>
+            </div>
+
+            {error && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+                <p className="text-red-700">{error}</p>
+              </div>
+            )}
+
+            {/* Step 1: Upload */}
+            {step === "upload" && (
+              <div className="bg-white rounded-lg shadow-md p-6">
+                <h3 className="text-lg font-semibold mb-2">1. Choose a File</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  The first row must hold column headers. Existing students
+                  are matched by email, ID number or full name and updated
+                  instead of duplicated.
+                </p>
+                <input
+                  type="file"
+                  accept=".csv,.xlsx"
+                  onChange={(e) => handleFile(e.target.files[0])}
+                  className="block text-sm"
+                />
+              </div>
+            )}
+
+            {/* Step 2: Map columns */}
+            {step === "map" && (
+              <div className="bg-white rounded-lg shadow-md p-6">
+                <h3 className="text-lg font-semibold mb-2">2. Match Columns</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  {fileName}: {rows.length} row{rows.length !== 1 ? "s" : ""}.
+                  Choose the column for each field; unmatched fields are left
+                  as they are. Games can list several, separated by commas.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  {IMPORT_FIELDS.map((field) => (
+                    <div key={field.key} className="flex items-center gap-3">
+                      <label className="w-44 text-sm font-medium text-gray-700">
+                        {field.label}
+                        {field.required && <span className="text-red-600"> *</span>}
+                      </label>
+                      <select
+                        value={mapping[field.key] ?? ""}
+                        onChange={(e) =>
+                          setMapping((prev) => ({
+                            ...prev,
+                            [field.key]:
+                              e.target.value === "" ? null : Number(e.target.value),
+                          }))
+                        }
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">— Not imported —</option>
+                        {headers.map((header, index) => (
+                          <option key={index} value={index}>
+                            {header || `Column ${index + 1}`}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+                <div className="flex gap-2 mt-6">
+                  <button
+                    onClick={showPreview}
+                    disabled={!requiredMapped}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Preview Import
+                  </button>
+                  <button
+                    onClick={startOver}
+                    className="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* Step 3: Preview */}
+            {step === "preview" && (
+              <div className="bg-white rounded-lg shadow-md">
+                <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap justify-between items-end gap-4">
+                  <div>
+                    <h3 className="text-lg font-semibold">3. Review Changes</h3>
+                    <p className="text-sm text-gray-600 mt-1">
+                      Nothing has been saved yet. Rows with errors will be
+                      skipped; fix them in the file and upload it again to
+                      include them. New students without a PIN get a random
+                      one.
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    {Object.entries(ACTION_STYLES).map(([action, style]) => (
+                      <button
+                        key={action}
+                        onClick={() =>
+                          setActionFilter((prev) => (prev === action ? "" : action))
+                        }
+                        className={`px-3 py-1 rounded-full text-sm font-medium ${
+                          style.className
+                        } ${actionFilter === action ? "ring-2 ring-blue-500" : ""}`}
+                      >
+                        {summary[action]} {style.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div className="overflow-x-auto max-h-[32rem] overflow-y-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50 sticky top-0">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Row
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Action
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Student
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Details
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {visiblePlan.map((row) => (
+                        <tr key={row.rowNumber}>
+                          <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">
+                            {row.rowNumber}
+                          </td>
+                          <td className="px-6 py-3 whitespace-nowrap">
+                            <span
+                              className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                                ACTION_STYLES[row.action].className
+                              }`}
+                            >
+                              {ACTION_STYLES[row.action].label}
+                            </span>
+                          </td>
+                          <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">
+                            {row.student ? (
+                              <>
+                                <Link
+                                  href={`/admin/student/${row.student._id}`}
+                                  className="text-blue-600 hover:text-blue-900"
+                                >
+                                  {getFullName(row.student)}
+                                </Link>
+                                <span className="text-xs text-gray-500">
+                                  {" "}
+                                  (matched by {row.matchedBy})
+                                </span>
+                              </>
+                            ) : (
+                              getFullName(row.data) || "—"
+                            )}
+                          </td>
+                          <td className="px-6 py-3 text-sm">
+                            {row.action === "error" ? (
+                              <span className="text-red-700">{row.errors.join("; ")}</span>
+                            ) : row.action === "update" ? (
+                              <span className="text-gray-700">
+                                Changes:{" "}
+                                {row.changes
+                                  .map(
+                                    (key) =>
+                                      IMPORT_FIELDS.find((field) => field.key === key)
+                                        ?.label || key
+                                  )
+                                  .join(", ")}
+                              </span>
+                            ) : row.action === "create" ? (
+                              <span className="text-gray-700">
+                                {[
+                                  row.data.email,
+                                  row.data.idNumber,
+                                  row.generatedPin && `New PIN ${row.data.pin}`,
+                                ]
+                                  .filter(Boolean)
+                                  .join(" · ") || "New student"}
+                              </span>
+                            ) : (
+                              <span className="text-gray-500">Already up to date</span>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <div className="px-6 py-4 border-t border-gray-200 flex gap-2">
+                  <button
+                    onClick={runImport}
+                    disabled={importing || summary.create + summary.update === 0}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {importing
+                      ? "Importing..."
+                      : `Import ${summary.create + summary.update} Student${
+                          summary.create + summary.update !== 1 ? "s" : ""
+                        }`}
+                  </button>
+                  <button
+                    onClick={() => setStep("map")}
+                    disabled={importing}
+                    className="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600 disabled:opacity-50"
+                  >
+                    Back
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* Step 4: Done */}
+            {step === "done" && result && (
+              <div className="bg-white rounded-lg shadow-md p-6">
+                <h3 className="text-lg font-semibold mb-2">Import Complete</h3>
+                <p className="text-sm text-gray-700 mb-4">
+                  Created {result.created} and updated {result.updated} student
+                  {result.created + result.updated !== 1 ? "s" : ""} from {fileName}.
+                  You can roll the whole import back from Recent Imports below.
+                  {generatedPins.length > 0 &&
+                    ` ${generatedPins.length} new student${
+                      generatedPins.length !== 1 ? "s were" : " was"
+                    } given a random PIN; print the slips to hand them out.`}
+                </p>
+                <div className="flex gap-2">
+                  <Link
+                    href="/admin"
+                    className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                  >
+                    View Roster
+                  </Link>
+                  {generatedPins.length > 0 && (
+                    <button
+                      onClick={printPinHandout}
+                      className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700"
+                    >
+                      Print PIN Slips
+                    </button>
+                  )}
+                  <button
+                    onClick={startOver}
+                    className="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600"
+                  >
+                    Import Another File
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* Recent Imports */}
+            <div className="bg-white rounded-lg shadow-md">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h3 className="text-lg font-semibold">Recent Imports</h3>
+                <p className="text-sm text-gray-600 mt-1">
+                  Rolling back deletes the students an import created and
+                  restores the ones it updated.
+                </p>
+              </div>
+              {batches.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">No imports yet.</div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Date
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          File
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          By
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Created / Updated
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Actions
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {batches.map((batch) => (
+                        <tr key={batch._id}>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {formatDate(batch.createdAt)}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {batch.fileName}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {batch.createdBy || "—"}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {batch.created} / {batch.updated}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                            {batch.rolledBackAt ? (
+                              <span className="text-gray-500">
+                                Rolled back {formatDate(batch.rolledBackAt)}
+                              </span>
+                            ) : (
+                              can("students.purge") && (
+                                <button
+                                  onClick={() => rollBack(batch)}
+                                  className="text-red-600 hover:text-red-900"
+                                >
+                                  Roll Back
+                                </button>
+                              )
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+const StudentImportPage = () => (
+  <RequireStaff permission="students.edit">
+    <StudentImport />
+  </RequireStaff>
+);
+
+export default StudentImportPage;
@@ -0,0 +1,115 @@
+// pages/admin/login.js - Staff sign-in for the admin pages
+import React, { useState, useEffect } from "react";
+import { useRouter } from "next/router";
+import Link from "next/link";
+import Head from "next/head";
+import { getStaffSession, signIn } from "@/lib/auth";
+
+// Only same-site paths are followed after signing in
+const getNextPath = (next) =>
+  typeof next === "string" && next.startsWith("/") && !next.startsWith("//")
+    ? next
+    : "/admin";
+
+const AdminLogin = () => {
+  const router = useRouter();
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  // Already signed in: go straight on
+  useEffect(() => {
+    if (router.isReady && getStaffSession()?.token) {
+      router.replace(getNextPath(router.query.next));
+    }
+  }, [router]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setLoading(true);
+
+    const result = await signIn(email, password);
+    if (result.error) {
+      setError(result.error);
+      setPassword("");
+      setLoading(false);
+      return;
+    }
+    router.replace(getNextPath(router.query.next));
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Staff Sign In</title>
+        <meta name="description" content="Sign in to the admin panel" />
+      </Head>
+
+      <div className="min-h-screen bg-gray-100">
+        {/* Navigation */}
+        <nav className="bg-blue-600 text-white p-4">
+          <div className="container mx-auto flex justify-between items-center">
+            <h1 className="text-xl font-bold">Student Check-in System</h1>
+            <Link href="/" className="px-4 py-2 rounded bg-blue-500 hover:bg-blue-700">
+              Student Login
+            </Link>
+          </div>
+        </nav>
+
+        {/* Content */}
+        <div className="container mx-auto p-4">
+          <form
+            onSubmit={handleSubmit}
+            className="max-w-md mx-auto bg-white rounded-lg shadow-md p-6 space-y-4"
+          >
+            <h2 className="text-2xl font-bold text-center">Staff Sign In</h2>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Email
+              </label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                autoComplete="username"
+                autoFocus
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Password
+              </label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                autoComplete="current-password"
+                required
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={loading || !email || !password}
+              className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? "Signing in..." : "Sign In"}
+            </button>
+
+            {error && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+                <p className="text-red-700 text-sm">{error}</p>
+              </div>
+            )}
+          </form>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default AdminLogin;
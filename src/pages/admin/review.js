@@ -0,0 +1,353 @@
+// pages/admin/review.js - Items that need an admin's attention
+import React, { useState, useEffect } from "react";
+import Link from "next/link";
+import Head from "next/head";
+import AdminNav from "@/components/AdminNav";
+import RequireStaff from "@/components/RequireStaff";
+import { authFetch, useStaff } from "@/lib/auth";
+import { formatSystemClosed } from "@/lib/sessions";
+
+const API = process.env.NEXT_PUBLIC_API_URL;
+
+const CONFLICT_TYPE_LABELS = {
+  checkin: "Check-in",
+  checkout: "Check-out",
+  "switch-game": "Game switch",
+};
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// YYYY-MM-DD for today in local time
+const getToday = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000)
+    .toISOString()
+    .split("T")[0];
+};
+
+const AdminReview = () => {
+  const { can } = useStaff();
+  const [conflicts, setConflicts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [closedDate, setClosedDate] = useState(getToday());
+  const [closedSessions, setClosedSessions] = useState([]);
+  const [closedLoading, setClosedLoading] = useState(true);
+
+  useEffect(() => {
+    fetchConflicts();
+  }, []);
+
+  useEffect(() => {
+    fetchClosedSessions();
+  }, [closedDate]);
+
+  const fetchConflicts = async () => {
+    setLoading(true);
+    try {
+      const response = await authFetch(`${API}/sync-conflicts`);
+      const data = await response.json();
+      setConflicts(data.filter((c) => !c.resolved));
+    } catch (err) {
+      setError("Failed to fetch sync conflicts");
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Sessions the end-of-day policy closed on the chosen day:
+  // [{ studentId, studentName, session }]
+  const fetchClosedSessions = async () => {
+    setClosedLoading(true);
+    try {
+      const response = await authFetch(
+        `${API}/sessions/system-closed?date=${closedDate}`
+      );
+      const data = await response.json();
+      setClosedSessions(data);
+    } catch (err) {
+      setError("Failed to fetch auto-closed sessions");
+      console.error(err);
+    } finally {
+      setClosedLoading(false);
+    }
+  };
+
+  const markSessionReviewed = async ({ studentId, session }) => {
+    try {
+      const response = await authFetch(
+        `${API}/users/${studentId}/sessions/${session._id}/review`,
+        { method: "POST" }
+      );
+      if (response.ok) {
+        setClosedSessions((prev) =>
+          prev.map((item) =>
+            item.session._id === session._id
+              ? {
+                  ...item,
+                  session: {
+                    ...item.session,
+                    systemClosed: { ...item.session.systemClosed, reviewed: true },
+                  },
+                }
+              : item
+          )
+        );
+      } else {
+        setError("Failed to mark session as reviewed");
+      }
+    } catch (err) {
+      setError("Error connecting to server");
+    }
+  };
+
+  const resolveConflict = async (conflictId) => {
+    try {
+      const response = await authFetch(`${API}/sync-conflicts/${conflictId}`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          resolved: true,
+          resolvedAt: new Date().toISOString(),
+        }),
+      });
+      if (response.ok) {
+        setConflicts((prev) => prev.filter((c) => c._id !== conflictId));
+      } else {
+        setError("Failed to resolve conflict");
+      }
+    } catch (err) {
+      setError("Error connecting to server");
+    }
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Review - Admin Panel</title>
+        <meta name="description" content="Records that need admin review" />
+      </Head>
+
+      <div className="min-h-screen bg-gray-100">
+        {/* Navigation */}
+        <AdminNav active="/admin/review" />
+
+        {/* Content */}
+        <div className="container mx-auto p-4">
+          <div className="space-y-6">
+            <div>
+              <Link
+                href="/admin"
+                className="text-blue-600 hover:text-blue-800 mb-2 inline-block"
+              >
+                ← Back to Admin Panel
+              </Link>
+              <h2 className="text-3xl font-bold text-gray-900">Review</h2>
+              <p className="text-gray-600 mt-1">
+                Records that could not be applied automatically
+              </p>
+            </div>
+
+            {error && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+                <p className="text-red-700">{error}</p>
+              </div>
+            )}
+
+            {/* Offline Sync Conflicts */}
+            <div className="bg-white rounded-lg shadow-md">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h3 className="text-lg font-semibold">Offline Sync Conflicts</h3>
+                <p className="text-sm text-gray-600 mt-1">
+                  Check-ins and check-outs recorded while a kiosk was offline
+                  that the server rejected when they were replayed.
+                </p>
+              </div>
+
+              {loading ? (
+                <div className="text-center py-8 text-gray-500">Loading...</div>
+              ) : conflicts.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">
+                  No unresolved conflicts.
+                </div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Student
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Action
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Recorded At
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Reason
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Actions
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {conflicts.map((conflict) => (
+                        <tr key={conflict._id}>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                            <Link
+                              href={`/admin/student/${conflict.studentId}`}
+                              className="text-blue-600 hover:text-blue-900"
+                            >
+                              {conflict.studentName || conflict.studentId}
+                            </Link>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {CONFLICT_TYPE_LABELS[conflict.type] || conflict.type}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {formatDate(conflict.timestamp)}
+                          </td>
+                          <td className="px-6 py-4 text-sm text-red-700">
+                            {conflict.error}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                            {can("review.resolve") && (
+                              <button
+                                onClick={() => resolveConflict(conflict._id)}
+                                className="text-green-600 hover:text-green-900"
+                              >
+                                Mark Resolved
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            {/* Auto-closed Sessions */}
+            <div className="bg-white rounded-lg shadow-md">
+              <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap justify-between items-end gap-4">
+                <div>
+                  <h3 className="text-lg font-semibold">Auto-closed Sessions</h3>
+                  <p className="text-sm text-gray-600 mt-1">
+                    Sessions nobody checked out of, closed by the end-of-day
+                    policy. Correct the times from the student&apos;s history
+                    if needed.
+                  </p>
+                </div>
+                <input
+                  type="date"
+                  value={closedDate}
+                  max={getToday()}
+                  onChange={(e) => setClosedDate(e.target.value || getToday())}
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+
+              {closedLoading ? (
+                <div className="text-center py-8 text-gray-500">Loading...</div>
+              ) : closedSessions.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">
+                  No sessions were auto-closed on this day.
+                </div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Student
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Check-in
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Closed At
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Hours
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Outcome
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Actions
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {closedSessions.map(({ studentId, studentName, session }) => (
+                        <tr key={session._id}>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                            <Link
+                              href={`/admin/student/${studentId}`}
+                              className="text-blue-600 hover:text-blue-900"
+                            >
+                              {studentName || studentId}
+                            </Link>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {formatDate(session.checkin)}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {session.checkout ? formatDate(session.checkout) : "-"}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-gray-900">
+                            {(session.hours || 0).toFixed(2)}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-orange-700">
+                            {formatSystemClosed(session)}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                            {session.systemClosed?.reviewed ? (
+                              <span className="text-gray-500">Reviewed</span>
+                            ) : (
+                              can("review.resolve") && (
+                                <button
+                                  onClick={() =>
+                                    markSessionReviewed({ studentId, session })
+                                  }
+                                  className="text-green-600 hover:text-green-900"
+                                >
+                                  Mark Reviewed
+                                </button>
+                              )
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+const AdminReviewPage = () => (
+  <RequireStaff>
+    <AdminReview />
+  </RequireStaff>
+);
+
+export default AdminReviewPage;
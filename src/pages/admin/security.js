@@ -0,0 +1,239 @@
+// pages/admin/security.js - PIN lockouts and failed kiosk PIN attempts
+import React, { useState, useEffect } from "react";
+import Link from "next/link";
+import Head from "next/head";
+import AdminNav from "@/components/AdminNav";
+import RequireStaff from "@/components/RequireStaff";
+import { authFetch } from "@/lib/auth";
+
+const API = process.env.NEXT_PUBLIC_API_URL;
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const AdminSecurity = () => {
+  const [lockouts, setLockouts] = useState([]);
+  const [attempts, setAttempts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+
+  useEffect(() => {
+    fetchSecurityData();
+  }, []);
+
+  const fetchSecurityData = async () => {
+    setLoading(true);
+    try {
+      const [lockoutsResponse, attemptsResponse] = await Promise.all([
+        authFetch(`${API}/security/lockouts`),
+        authFetch(`${API}/security/pin-attempts`),
+      ]);
+      setLockouts(await lockoutsResponse.json());
+      setAttempts(await attemptsResponse.json());
+    } catch (err) {
+      setError("Failed to fetch security data");
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const clearLockout = async (lockout) => {
+    if (!confirm(`Clear the PIN lockout for ${lockout.studentName}?`)) return;
+
+    try {
+      const response = await authFetch(`${API}/users/${lockout.studentId}/lockout`, {
+        method: "DELETE",
+      });
+      if (response.ok) {
+        setLockouts((prev) =>
+          prev.filter((l) => l.studentId !== lockout.studentId)
+        );
+        setSuccess(`Lockout cleared for ${lockout.studentName}`);
+        setTimeout(() => setSuccess(""), 3000);
+      } else {
+        setError("Failed to clear lockout");
+      }
+    } catch (err) {
+      setError("Error connecting to server");
+    }
+  };
+
+  const activeLockouts = lockouts.filter(
+    (l) => new Date(l.lockedUntil) > new Date()
+  );
+
+  return (
+    <>
+      <Head>
+        <title>Security - Admin Panel</title>
+        <meta name="description" content="Kiosk PIN lockouts and failed attempts" />
+      </Head>
+
+      <div className="min-h-screen bg-gray-100">
+        {/* Navigation */}
+        <AdminNav active="/admin/security" />
+
+        {/* Content */}
+        <div className="container mx-auto p-4">
+          <div className="space-y-6">
+            <div>
+              <Link
+                href="/admin"
+                className="text-blue-600 hover:text-blue-800 mb-2 inline-block"
+              >
+                ← Back to Admin Panel
+              </Link>
+              <h2 className="text-3xl font-bold text-gray-900">Security</h2>
+              <p className="text-gray-600 mt-1">
+                Kiosk PIN lockouts and failed PIN attempts
+              </p>
+            </div>
+
+            {error && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+                <p className="text-red-700">{error}</p>
+              </div>
+            )}
+
+            {success && (
+              <div className="p-3 bg-green-50 border border-green-200 rounded-md">
+                <p className="text-green-700">{success}</p>
+              </div>
+            )}
+
+            {/* Active Lockouts */}
+            <div className="bg-white rounded-lg shadow-md">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h3 className="text-lg font-semibold">Locked PINs</h3>
+              </div>
+
+              {loading ? (
+                <div className="text-center py-8 text-gray-500">Loading...</div>
+              ) : activeLockouts.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">
+                  No students are currently locked out.
+                </div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Student
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Failed Attempts
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Locked Until
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Actions
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {activeLockouts.map((lockout) => (
+                        <tr key={lockout.studentId}>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                            {lockout.studentName}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {lockout.failedAttempts}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-red-700">
+                            {formatDate(lockout.lockedUntil)}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                            <button
+                              onClick={() => clearLockout(lockout)}
+                              className="text-blue-600 hover:text-blue-900"
+                            >
+                              Clear Lockout
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            {/* Failed Attempts */}
+            <div className="bg-white rounded-lg shadow-md">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h3 className="text-lg font-semibold">Failed PIN Attempts</h3>
+              </div>
+
+              {loading ? (
+                <div className="text-center py-8 text-gray-500">Loading...</div>
+              ) : attempts.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">
+                  No failed attempts recorded.
+                </div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Time
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Student
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Result
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {attempts.map((attempt) => (
+                        <tr key={attempt._id}>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {formatDate(attempt.attemptedAt)}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {attempt.studentName}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm">
+                            {attempt.causedLockout ? (
+                              <span className="text-xs px-2 py-1 bg-red-100 text-red-800 rounded">
+                                Locked
+                              </span>
+                            ) : (
+                              <span className="text-xs px-2 py-1 bg-yellow-100 text-yellow-800 rounded">
+                                Incorrect PIN
+                              </span>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+const AdminSecurityPage = () => (
+  <RequireStaff permission="security.manage">
+    <AdminSecurity />
+  </RequireStaff>
+);
+
+export default AdminSecurityPage;
@@ -1,7 +1,39 @@
 // pages/admin/settings.js - Admin Settings Page
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import Link from "next/link";
 import Head from "next/head";
+import AdminNav from "@/components/AdminNav";
+import RequireStaff from "@/components/RequireStaff";
+import CatalogEditor from "@/components/CatalogEditor";
+import EligibilityPreview from "@/components/EligibilityPreview";
+import {
+  ELIGIBILITY_RULES,
+  RULE_SEVERITIES,
+  getRuleConfig,
+} from "@/lib/eligibility";
+import {
+  DEFAULT_NICKNAMES,
+  formatNicknameTable,
+  parseNicknameTable,
+} from "@/lib/search";
+import { DEFAULT_CURRICULUM } from "@/lib/curriculum";
+import {
+  DEFAULT_GAME_CATALOG,
+  DEFAULT_STATUS_CATALOG,
+  CatalogContext,
+  getCatalogs,
+} from "@/lib/catalog";
+import {
+  DEFAULT_OPEN_SESSION_POLICY,
+  OPEN_SESSION_POLICIES,
+} from "@/lib/sessions";
+import {
+  DEFAULT_OPERATING_HOURS,
+  WEEKDAYS,
+  WEEKDAY_LABELS,
+} from "@/lib/schedule";
+import { DEFAULT_PIN_POLICY, describePinPolicy, getPinPolicy } from "@/lib/pinPolicy";
+import { authFetch } from "@/lib/auth";
 
 const API = process.env.NEXT_PUBLIC_API_URL;
 
@@ -11,26 +43,69 @@ const AdminSettings = () => {
     blockedStatuses: [],
     enforceClassEndDate: false,
     enforcePracticeEndDate: false,
+    classEndGraceDays: 0,
+    practiceEndGraceDays: 0,
+    endDateWarningDays: 0,
+    pinMaxAttempts: 5,
+    pinLockoutMinutes: 15,
+    pinLockoutEscalation: true,
+    pinPolicy: DEFAULT_PIN_POLICY,
+    kioskIdleSeconds: 60,
+    kioskWarningSeconds: 15,
+    kioskMode: false,
+    openSessionPolicy: DEFAULT_OPEN_SESSION_POLICY,
+    operatingHours: DEFAULT_OPERATING_HOURS,
+    curriculum: DEFAULT_CURRICULUM,
+    statusCatalog: DEFAULT_STATUS_CATALOG,
+    gameCatalog: DEFAULT_GAME_CATALOG,
+    eligibilityRules: {},
   });
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState("");
   const [success, setSuccess] = useState("");
-
-  const allStatuses = ["Current Student", "Suspended", "Graduate", "Other"];
+  // Last saved settings, to preview what the unsaved changes would do
+  const [savedSettings, setSavedSettings] = useState(null);
+  const [students, setStudents] = useState([]);
+  const [studentsLoading, setStudentsLoading] = useState(true);
+  const [newClosure, setNewClosure] = useState({ start: "", end: "", label: "" });
+  const [nicknameText, setNicknameText] = useState(
+    formatNicknameTable(DEFAULT_NICKNAMES)
+  );
+  // The draft catalogs, so labels update while they are edited
+  const catalogs = useMemo(() => getCatalogs(settings), [settings]);
 
   useEffect(() => {
     fetchSettings();
+    fetchStudents();
   }, []);
 
+  const fetchStudents = async () => {
+    setStudentsLoading(true);
+    try {
+      const response = await authFetch(`${API}/users`);
+      const data = await response.json();
+      setStudents(data);
+    } catch (err) {
+      console.error("Failed to fetch students:", err);
+    } finally {
+      setStudentsLoading(false);
+    }
+  };
+
   const fetchSettings = async () => {
     setLoading(true);
     try {
-      const response = await fetch(`${API}/settings`);
+      const response = await authFetch(`${API}/settings`);
       const data = await response.json();
 
       if (data && data.length > 0) {
-        setSettings(data[0]);
+        setSavedSettings(data[0]);
+        // A missing or partial pinPolicy is filled from the defaults
+        setSettings((prev) => ({ ...prev, ...data[0], pinPolicy: getPinPolicy(data[0]) }));
+        if (data[0].nicknames) {
+          setNicknameText(formatNicknameTable(data[0].nicknames));
+        }
       } else {
         // No settings exist yet, will create on first save
         setSettings({
@@ -38,6 +113,22 @@ const AdminSettings = () => {
           blockedStatuses: ["Suspended"],
           enforceClassEndDate: false,
           enforcePracticeEndDate: false,
+          classEndGraceDays: 0,
+          practiceEndGraceDays: 0,
+          endDateWarningDays: 0,
+          pinMaxAttempts: 5,
+          pinLockoutMinutes: 15,
+          pinLockoutEscalation: true,
+          pinPolicy: DEFAULT_PIN_POLICY,
+          kioskIdleSeconds: 60,
+          kioskWarningSeconds: 15,
+          kioskMode: false,
+          openSessionPolicy: DEFAULT_OPEN_SESSION_POLICY,
+          operatingHours: DEFAULT_OPERATING_HOURS,
+          curriculum: DEFAULT_CURRICULUM,
+          statusCatalog: DEFAULT_STATUS_CATALOG,
+          gameCatalog: DEFAULT_GAME_CATALOG,
+          eligibilityRules: {},
         });
       }
     } catch (err) {
@@ -59,7 +150,7 @@ const AdminSettings = () => {
         : `${API}/settings`;
       const method = settings._id ? "PUT" : "POST";
 
-      const response = await fetch(url, {
+      const response = await authFetch(url, {
         method,
         headers: {
           "Content-Type": "application/json",
@@ -68,13 +159,34 @@ const AdminSettings = () => {
           blockedStatuses: settings.blockedStatuses,
           enforceClassEndDate: settings.enforceClassEndDate,
           enforcePracticeEndDate: settings.enforcePracticeEndDate,
+          classEndGraceDays: settings.classEndGraceDays,
+          practiceEndGraceDays: settings.practiceEndGraceDays,
+          endDateWarningDays: settings.endDateWarningDays,
+          pinMaxAttempts: settings.pinMaxAttempts,
+          pinLockoutMinutes: settings.pinLockoutMinutes,
+          pinLockoutEscalation: settings.pinLockoutEscalation,
+          pinPolicy: settings.pinPolicy,
+          kioskIdleSeconds: settings.kioskIdleSeconds,
+          kioskWarningSeconds: settings.kioskWarningSeconds,
+          kioskMode: settings.kioskMode,
+          openSessionPolicy: {
+            mode: settings.openSessionPolicy.mode,
+            maxHours: settings.openSessionPolicy.maxHours,
+          },
+          operatingHours: settings.operatingHours,
+          nicknames: parseNicknameTable(nicknameText),
+          curriculum: settings.curriculum,
+          statusCatalog: settings.statusCatalog,
+          gameCatalog: settings.gameCatalog,
+          eligibilityRules: settings.eligibilityRules,
           updatedAt: new Date(),
         }),
       });
 
       if (response.ok) {
-        const savedSettings = await response.json();
-        setSettings(savedSettings);
+        const saved = await response.json();
+        setSavedSettings(saved);
+        setSettings({ ...saved, pinPolicy: getPinPolicy(saved) });
         setSuccess("Settings saved successfully!");
         setTimeout(() => setSuccess(""), 3000);
       } else {
@@ -88,6 +200,83 @@ const AdminSettings = () => {
     }
   };
 
+  const setCurriculumHours = (game, value) => {
+    const hours = Math.max(0, parseFloat(value) || 0);
+    setSettings((prev) => ({
+      ...prev,
+      curriculum:
+        game === null
+          ? { ...prev.curriculum, minimumTotalHours: hours }
+          : {
+              ...prev.curriculum,
+              gameHours: { ...prev.curriculum.gameHours, [game]: hours },
+            },
+    }));
+  };
+
+  const setOperatingHours = (changes) =>
+    setSettings((prev) => ({
+      ...prev,
+      operatingHours: { ...prev.operatingHours, ...changes },
+    }));
+
+  const setWeekday = (day, changes) =>
+    setSettings((prev) => ({
+      ...prev,
+      operatingHours: {
+        ...prev.operatingHours,
+        weekly: {
+          ...prev.operatingHours.weekly,
+          [day]: { ...prev.operatingHours.weekly[day], ...changes },
+        },
+      },
+    }));
+
+  const addClosure = () => {
+    if (!newClosure.start) return;
+    const closure = {
+      start: newClosure.start,
+      end: newClosure.end && newClosure.end > newClosure.start ? newClosure.end : "",
+      label: newClosure.label.trim(),
+    };
+    setOperatingHours({
+      closures: [...settings.operatingHours.closures, closure].sort((a, b) =>
+        a.start.localeCompare(b.start)
+      ),
+    });
+    setNewClosure({ start: "", end: "", label: "" });
+  };
+
+  const removeClosure = (index) =>
+    setOperatingHours({
+      closures: settings.operatingHours.closures.filter((_, i) => i !== index),
+    });
+
+  const setOpenSessionPolicy = (changes) =>
+    setSettings((prev) => ({
+      ...prev,
+      openSessionPolicy: { ...prev.openSessionPolicy, ...changes },
+    }));
+
+  const setRuleConfig = (ruleId, changes) =>
+    setSettings((prev) => ({
+      ...prev,
+      eligibilityRules: {
+        ...prev.eligibilityRules,
+        [ruleId]: { ...prev.eligibilityRules?.[ruleId], ...changes },
+      },
+    }));
+
+  // Lengths stay within 4-12 and the minimum never passes the maximum
+  const setPinPolicy = (key, value) =>
+    setSettings((prev) => {
+      const length = Math.min(12, Math.max(4, parseInt(value, 10) || 4));
+      const pinPolicy = { ...prev.pinPolicy, [key]: length };
+      if (key === "minLength") pinPolicy.maxLength = Math.max(pinPolicy.maxLength, length);
+      if (key === "maxLength") pinPolicy.minLength = Math.min(pinPolicy.minLength, length);
+      return { ...prev, pinPolicy };
+    });
+
   const toggleStatus = (status) => {
     setSettings((prev) => ({
       ...prev,
@@ -111,7 +300,7 @@ const AdminSettings = () => {
   }
 
   return (
-    <>
+    <CatalogContext.Provider value={catalogs}>
       <Head>
         <title>Settings - Admin Panel</title>
         <meta name="description" content="Configure check-in system settings" />
@@ -119,31 +308,7 @@ const AdminSettings = () => {
 
       <div className="min-h-screen bg-gray-100">
         {/* Navigation */}
-        <nav className="bg-blue-600 text-white p-4">
-          <div className="container mx-auto flex justify-between items-center">
-            <h1 className="text-xl font-bold">Student Check-in System</h1>
-            <div className="space-x-4">
-              <Link
-                href="/"
-                className="px-4 py-2 rounded bg-blue-500 hover:bg-blue-700"
-              >
-                Student Login
-              </Link>
-              <Link
-                href="/admin"
-                className="px-4 py-2 rounded bg-blue-500 hover:bg-blue-700"
-              >
-                Admin Panel
-              </Link>
-              <Link
-                href="/admin/settings"
-                className="px-4 py-2 rounded bg-blue-800"
-              >
-                Settings
-              </Link>
-            </div>
-          </div>
-        </nav>
+        <AdminNav active="/admin/settings" />
 
         {/* Content */}
         <div className="container mx-auto p-4">
@@ -175,6 +340,39 @@ const AdminSettings = () => {
               </div>
             )}
 
+            {/* Statuses */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h3 className="text-lg font-semibold mb-2">Student Statuses</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Statuses offered in the admin panel, in this order. Renaming a
+                status keeps it on existing students; retire a status to stop
+                offering it without changing students who already have it.
+              </p>
+              <CatalogEditor
+                type="statuses"
+                entries={settings.statusCatalog}
+                onChange={(statusCatalog) =>
+                  setSettings((prev) => ({ ...prev, statusCatalog }))
+                }
+              />
+            </div>
+
+            {/* Games */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h3 className="text-lg font-semibold mb-2">Games</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Games students can be assigned and practice at the kiosk.
+                Retired games still show on past sessions and hour totals.
+              </p>
+              <CatalogEditor
+                type="games"
+                entries={settings.gameCatalog}
+                onChange={(gameCatalog) =>
+                  setSettings((prev) => ({ ...prev, gameCatalog }))
+                }
+              />
+            </div>
+
             {/* Blocked Statuses */}
             <div className="bg-white rounded-lg shadow-md p-6">
               <h3 className="text-lg font-semibold mb-2">Blocked Statuses</h3>
@@ -182,7 +380,7 @@ const AdminSettings = () => {
                 Students with these statuses will not be allowed to check in.
               </p>
               <div className="space-y-3">
-                {allStatuses.map((status) => (
+                {settings.statusCatalog.map(({ value: status, label, active }) => (
                   <label
                     key={status}
                     className="flex items-center space-x-3 p-3 rounded-md hover:bg-gray-50 cursor-pointer"
@@ -195,7 +393,10 @@ const AdminSettings = () => {
                     />
                     <div className="flex-1">
                       <span className="text-sm font-medium text-gray-900">
-                        {status}
+                        {label}
+                        {!active && (
+                          <span className="text-gray-500 font-normal"> (retired)</span>
+                        )}
                       </span>
                       {status === "Suspended" && (
                         <p className="text-xs text-gray-500">
@@ -293,6 +494,687 @@ const AdminSettings = () => {
                   )}
                 </label>
               </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Class grace period (days)
+                  </label>
+                  <input
+                    type="number"
+                    min={0}
+                    value={settings.classEndGraceDays}
+                    onChange={(e) =>
+                      setSettings((prev) => ({
+                        ...prev,
+                        classEndGraceDays: Math.max(0, parseInt(e.target.value, 10) || 0),
+                      }))
+                    }
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Practice grace period (days)
+                  </label>
+                  <input
+                    type="number"
+                    min={0}
+                    value={settings.practiceEndGraceDays}
+                    onChange={(e) =>
+                      setSettings((prev) => ({
+                        ...prev,
+                        practiceEndGraceDays: Math.max(0, parseInt(e.target.value, 10) || 0),
+                      }))
+                    }
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Warn students (days before)
+                  </label>
+                  <input
+                    type="number"
+                    min={0}
+                    value={settings.endDateWarningDays}
+                    onChange={(e) =>
+                      setSettings((prev) => ({
+                        ...prev,
+                        endDateWarningDays: Math.max(0, parseInt(e.target.value, 10) || 0),
+                      }))
+                    }
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                Grace days let students keep checking in for a few days after
+                an enforced end date. Inside the warning window the kiosk
+                reminds students that their class or practice period is
+                ending, without blocking them, and the roster highlights them.
+                Use 0 to turn either off.
+              </p>
+            </div>
+
+            {/* Check-in Rules */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h3 className="text-lg font-semibold mb-2">Check-in Messages</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                What the kiosk shows when a rule above applies, and whether it
+                blocks check-in or only warns. Messages can include {"{name}"},{" "}
+                {"{status}"} and {"{date}"}.
+              </p>
+              <div className="space-y-4">
+                {ELIGIBILITY_RULES.map((rule) => {
+                  const config = getRuleConfig(rule, settings);
+                  return (
+                    <div key={rule.id} className="p-4 rounded-md border border-gray-200">
+                      <div className="flex justify-between items-start gap-4 mb-2">
+                        <div>
+                          <span className="font-medium text-gray-900">{rule.label}</span>
+                          <p className="text-xs text-gray-500">{rule.description}</p>
+                        </div>
+                        <select
+                          value={config.severity}
+                          onChange={(e) =>
+                            setRuleConfig(rule.id, { severity: e.target.value })
+                          }
+                          className="px-2 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          {Object.entries(RULE_SEVERITIES).map(([value, label]) => (
+                            <option key={value} value={value}>
+                              {label}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      <input
+                        type="text"
+                        value={settings.eligibilityRules?.[rule.id]?.message ?? rule.message}
+                        onChange={(e) =>
+                          setRuleConfig(rule.id, { message: e.target.value })
+                        }
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+
+            {/* Operating Hours */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h3 className="text-lg font-semibold mb-2">Operating Hours</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                When enabled, the kiosk only allows check-in during opening
+                hours and not on closure days. Students can always check out.
+              </p>
+              <label className="flex items-start space-x-3 p-4 rounded-md border-2 border-gray-200 hover:border-blue-300 cursor-pointer transition-colors">
+                <input
+                  type="checkbox"
+                  checked={settings.operatingHours.enabled}
+                  onChange={(e) => setOperatingHours({ enabled: e.target.checked })}
+                  className="rounded h-5 w-5 text-blue-600 mt-0.5"
+                />
+                <div className="flex-1">
+                  <div className="font-medium text-gray-900">
+                    Enforce operating hours
+                  </div>
+                </div>
+                {settings.operatingHours.enabled && (
+                  <span className="text-xs px-2 py-1 bg-blue-100 text-blue-800 rounded">
+                    Enabled
+                  </span>
+                )}
+              </label>
+
+              <div className="mt-4 space-y-2">
+                {[...WEEKDAYS.slice(1), WEEKDAYS[0]].map((day) => {
+                  const hours = settings.operatingHours.weekly[day];
+                  return (
+                    <div key={day} className="flex flex-wrap items-center gap-3 text-sm">
+                      <span className="w-28 font-medium text-gray-900">
+                        {WEEKDAY_LABELS[day]}
+                      </span>
+                      <label className="flex items-center space-x-2">
+                        <input
+                          type="checkbox"
+                          checked={!hours.closed}
+                          onChange={(e) => setWeekday(day, { closed: !e.target.checked })}
+                          className="rounded"
+                        />
+                        <span>Open</span>
+                      </label>
+                      {!hours.closed && (
+                        <>
+                          <input
+                            type="time"
+                            value={hours.open}
+                            onChange={(e) => setWeekday(day, { open: e.target.value })}
+                            className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          />
+                          <span className="text-gray-500">to</span>
+                          <input
+                            type="time"
+                            value={hours.close}
+                            onChange={(e) => setWeekday(day, { close: e.target.value })}
+                            className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          />
+                          {hours.close <= hours.open && (
+                            <span className="text-xs text-red-600">
+                              Closing must be after opening
+                            </span>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+
+              <label className="flex items-start space-x-3 p-4 mt-4 rounded-md border-2 border-gray-200 hover:border-blue-300 cursor-pointer transition-colors">
+                <input
+                  type="checkbox"
+                  checked={settings.operatingHours.capSessionsAtClosing}
+                  onChange={(e) =>
+                    setOperatingHours({ capSessionsAtClosing: e.target.checked })
+                  }
+                  className="rounded h-5 w-5 text-blue-600 mt-0.5"
+                />
+                <div className="flex-1">
+                  <div className="font-medium text-gray-900">
+                    Cap sessions at closing time
+                  </div>
+                  <p className="text-sm text-gray-600 mt-1">
+                    Students who check out after closing are credited only up
+                    to closing time.
+                  </p>
+                </div>
+              </label>
+
+              <h4 className="font-medium text-gray-900 mt-6 mb-2">
+                Closures and Holidays
+              </h4>
+              {settings.operatingHours.closures.length === 0 ? (
+                <p className="text-sm text-gray-500 mb-3">No closures scheduled.</p>
+              ) : (
+                <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md mb-3">
+                  {settings.operatingHours.closures.map((closure, index) => (
+                    <li
+                      key={`${closure.start}-${index}`}
+                      className="flex justify-between items-center px-3 py-2 text-sm"
+                    >
+                      <span>
+                        <span className="font-medium text-gray-900">
+                          {closure.start}
+                          {closure.end ? ` – ${closure.end}` : ""}
+                        </span>
+                        {closure.label && (
+                          <span className="text-gray-600"> · {closure.label}</span>
+                        )}
+                      </span>
+                      <button
+                        onClick={() => removeClosure(index)}
+                        className="text-red-600 hover:text-red-900"
+                      >
+                        Remove
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-2 items-end">
+                <div>
+                  <label className="block text-xs font-medium text-gray-500 mb-1">
+                    First day
+                  </label>
+                  <input
+                    type="date"
+                    value={newClosure.start}
+                    onChange={(e) =>
+                      setNewClosure((prev) => ({ ...prev, start: e.target.value }))
+                    }
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-500 mb-1">
+                    Last day (optional)
+                  </label>
+                  <input
+                    type="date"
+                    value={newClosure.end}
+                    min={newClosure.start}
+                    onChange={(e) =>
+                      setNewClosure((prev) => ({ ...prev, end: e.target.value }))
+                    }
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-500 mb-1">
+                    Label
+                  </label>
+                  <input
+                    type="text"
+                    value={newClosure.label}
+                    onChange={(e) =>
+                      setNewClosure((prev) => ({ ...prev, label: e.target.value }))
+                    }
+                    placeholder="e.g. Thanksgiving"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <button
+                  onClick={addClosure}
+                  disabled={!newClosure.start}
+                  className="px-4 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Add Closure
+                </button>
+              </div>
+            </div>
+
+            {/* PIN Rules */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h3 className="text-lg font-semibold mb-2">PIN Rules</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Apply to new and changed PINs and to generated ones. Every
+                student needs their own PIN. Existing PINs keep working until
+                they are changed.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Minimum length
+                  </label>
+                  <input
+                    type="number"
+                    min={4}
+                    max={12}
+                    value={settings.pinPolicy.minLength}
+                    onChange={(e) => setPinPolicy("minLength", e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Maximum length
+                  </label>
+                  <input
+                    type="number"
+                    min={4}
+                    max={12}
+                    value={settings.pinPolicy.maxLength}
+                    onChange={(e) => setPinPolicy("maxLength", e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              </div>
+              {[
+                [
+                  "digitsOnly",
+                  "Digits only",
+                  "PINs may only contain 0-9, which suits the kiosk keypad.",
+                ],
+                [
+                  "blockTrivial",
+                  "Block easy PINs",
+                  "Reject repeated digits and straight runs such as 1111, 1234 and 9876.",
+                ],
+              ].map(([key, label, description]) => (
+                <label
+                  key={key}
+                  className="flex items-start space-x-3 p-4 mt-4 rounded-md border-2 border-gray-200 hover:border-blue-300 cursor-pointer transition-colors"
+                >
+                  <input
+                    type="checkbox"
+                    checked={settings.pinPolicy[key]}
+                    onChange={(e) =>
+                      setSettings((prev) => ({
+                        ...prev,
+                        pinPolicy: { ...prev.pinPolicy, [key]: e.target.checked },
+                      }))
+                    }
+                    className="rounded h-5 w-5 text-blue-600 mt-0.5"
+                  />
+                  <div className="flex-1">
+                    <div className="font-medium text-gray-900">{label}</div>
+                    <p className="text-sm text-gray-600 mt-1">{description}</p>
+                  </div>
+                </label>
+              ))}
+            </div>
+
+            {/* PIN Lockout */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h3 className="text-lg font-semibold mb-2">PIN Lockout</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Lock a student&apos;s PIN entry at the kiosk after repeated
+                incorrect attempts. Locks can be cleared early from the
+                student&apos;s profile or the Security page.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Failed attempts before lock
+                  </label>
+                  <input
+                    type="number"
+                    min={1}
+                    value={settings.pinMaxAttempts}
+                    onChange={(e) =>
+                      setSettings((prev) => ({
+                        ...prev,
+                        pinMaxAttempts: Math.max(1, parseInt(e.target.value, 10) || 1),
+                      }))
+                    }
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Lock duration (minutes)
+                  </label>
+                  <input
+                    type="number"
+                    min={1}
+                    value={settings.pinLockoutMinutes}
+                    onChange={(e) =>
+                      setSettings((prev) => ({
+                        ...prev,
+                        pinLockoutMinutes: Math.max(1, parseInt(e.target.value, 10) || 1),
+                      }))
+                    }
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              </div>
+              <label className="flex items-start space-x-3 p-4 mt-4 rounded-md border-2 border-gray-200 hover:border-blue-300 cursor-pointer transition-colors">
+                <input
+                  type="checkbox"
+                  checked={settings.pinLockoutEscalation}
+                  onChange={(e) =>
+                    setSettings((prev) => ({
+                      ...prev,
+                      pinLockoutEscalation: e.target.checked,
+                    }))
+                  }
+                  className="rounded h-5 w-5 text-blue-600 mt-0.5"
+                />
+                <div className="flex-1">
+                  <div className="font-medium text-gray-900">
+                    Escalate repeated lockouts
+                  </div>
+                  <p className="text-sm text-gray-600 mt-1">
+                    Each further lock within 24 hours doubles the lock
+                    duration.
+                  </p>
+                  <div className="mt-2 text-xs text-gray-500">
+                    <strong>Example:</strong> With 5 attempts and 15 minutes,
+                    the first lock lasts 15 minutes, the second 30 minutes and
+                    the third 60 minutes.
+                  </div>
+                </div>
+                {settings.pinLockoutEscalation && (
+                  <span className="text-xs px-2 py-1 bg-blue-100 text-blue-800 rounded">
+                    Enabled
+                  </span>
+                )}
+              </label>
+            </div>
+
+            {/* Forgotten Check-outs */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h3 className="text-lg font-semibold mb-2">
+                Forgotten Check-outs
+              </h3>
+              <p className="text-sm text-gray-600 mb-4">
+                What happens to sessions still open at the end of the day.
+                Sessions closed this way are marked as system-closed and
+                listed on the Review page.
+              </p>
+              <div className="space-y-3">
+                {Object.entries(OPEN_SESSION_POLICIES).map(([mode, label]) => (
+                  <label
+                    key={mode}
+                    className="flex items-center space-x-3 p-3 rounded-md hover:bg-gray-50 cursor-pointer"
+                  >
+                    <input
+                      type="radio"
+                      name="openSessionPolicy"
+                      checked={settings.openSessionPolicy.mode === mode}
+                      onChange={() => setOpenSessionPolicy({ mode })}
+                      className="h-5 w-5 text-blue-600"
+                    />
+                    <span className="text-sm font-medium text-gray-900">
+                      {label}
+                    </span>
+                  </label>
+                ))}
+              </div>
+              {settings.openSessionPolicy.mode === "closing-time" && (
+                <div className="mt-4">
+                  <p className="text-sm text-gray-700">
+                    Open sessions are checked out at that day&apos;s closing
+                    time from Operating Hours above:{" "}
+                    {WEEKDAYS.map((day) => {
+                      const hours = settings.operatingHours.weekly[day];
+                      return `${WEEKDAY_LABELS[day].slice(0, 3)} ${
+                        hours.closed ? "closed" : hours.close
+                      }`;
+                    }).join(", ")}
+                    .
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Sessions started after closing time, or on a closed day,
+                    are checked out at midnight.
+                  </p>
+                </div>
+              )}
+              {settings.openSessionPolicy.mode === "max-hours" && (
+                <div className="mt-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Maximum session length (hours)
+                  </label>
+                  <input
+                    type="number"
+                    min={1}
+                    max={24}
+                    value={settings.openSessionPolicy.maxHours}
+                    onChange={(e) =>
+                      setOpenSessionPolicy({
+                        maxHours: Math.min(24, Math.max(1, parseInt(e.target.value, 10) || 1)),
+                      })
+                    }
+                    className="w-full md:w-1/2 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Sessions open longer than this are checked out this many
+                    hours after check-in.
+                  </p>
+                </div>
+              )}
+              {settings.openSessionPolicy.mode === "flag" && (
+                <p className="text-xs text-gray-500 mt-4">
+                  Sessions are closed at midnight with no hours credited until
+                  an admin corrects them.
+                </p>
+              )}
+            </div>
+
+            {/* Kiosk */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h3 className="text-lg font-semibold mb-2">Kiosk</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                The kiosk returns to the name search when nobody touches it
+                for this long after a student is selected, so the next person
+                cannot check in or out as them. A &quot;Still here?&quot;
+                prompt with a countdown is shown before the reset.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Reset after inactivity (seconds)
+                  </label>
+                  <input
+                    type="number"
+                    min={10}
+                    value={settings.kioskIdleSeconds}
+                    onChange={(e) =>
+                      setSettings((prev) => ({
+                        ...prev,
+                        kioskIdleSeconds: Math.max(10, parseInt(e.target.value, 10) || 10),
+                      }))
+                    }
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Warning before reset (seconds)
+                  </label>
+                  <input
+                    type="number"
+                    min={0}
+                    value={settings.kioskWarningSeconds}
+                    onChange={(e) =>
+                      setSettings((prev) => ({
+                        ...prev,
+                        kioskWarningSeconds: Math.max(0, parseInt(e.target.value, 10) || 0),
+                      }))
+                    }
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              </div>
+              {settings.kioskWarningSeconds >= settings.kioskIdleSeconds && (
+                <p className="text-sm text-yellow-700 mt-3">
+                  The warning is as long as the whole timeout, so the prompt
+                  will show as soon as a student is selected.
+                </p>
+              )}
+              <label className="flex items-start space-x-3 p-4 mt-4 rounded-md border-2 border-gray-200 hover:border-blue-300 cursor-pointer transition-colors">
+                <input
+                  type="checkbox"
+                  checked={settings.kioskMode}
+                  onChange={(e) =>
+                    setSettings((prev) => ({
+                      ...prev,
+                      kioskMode: e.target.checked,
+                    }))
+                  }
+                  className="rounded h-5 w-5 text-blue-600 mt-0.5"
+                />
+                <div className="flex-1">
+                  <div className="font-medium text-gray-900">
+                    Tablet kiosk mode
+                  </div>
+                  <p className="text-sm text-gray-600 mt-1">
+                    Keeps the tablet&apos;s own keyboard from opening over the
+                    form and shows an on-screen A–Z keyboard for the name
+                    search, and a number pad for PINs when PINs are digits
+                    only, with a switch to the keyboard for older PINs that
+                    have letters. Badge scanners keep working.
+                  </p>
+                </div>
+                {settings.kioskMode && (
+                  <span className="text-xs px-2 py-1 bg-blue-100 text-blue-800 rounded">
+                    Enabled
+                  </span>
+                )}
+              </label>
+            </div>
+
+            {/* Curriculum */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h3 className="text-lg font-semibold mb-2">
+                Curriculum Requirements
+              </h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Practice hours a student needs before graduating. Each game
+                requirement applies to students assigned that game; leave it
+                at 0 for no requirement.
+              </p>
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Overall minimum hours
+                </label>
+                <input
+                  type="number"
+                  min={0}
+                  step="0.5"
+                  value={settings.curriculum.minimumTotalHours}
+                  onChange={(e) => setCurriculumHours(null, e.target.value)}
+                  className="w-full md:w-1/2 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                {settings.gameCatalog
+                  .filter((entry) => entry.active)
+                  .map(({ value: game, label }) => (
+                    <div key={game}>
+                      <label className="block text-xs font-medium text-gray-500 mb-1">
+                        {label} (hours)
+                      </label>
+                      <input
+                        type="number"
+                        min={0}
+                        step="0.5"
+                        value={settings.curriculum.gameHours?.[game] || 0}
+                        onChange={(e) => setCurriculumHours(game, e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
+                  ))}
+              </div>
+            </div>
+
+            {/* Nicknames */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h3 className="text-lg font-semibold mb-2">Name Search Nicknames</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Searching for a nickname also finds students registered under
+                the full name, and the other way around, at the kiosk and in
+                the admin roster. One name per line, followed by its
+                nicknames.
+              </p>
+              <textarea
+                value={nicknameText}
+                onChange={(e) => setNicknameText(e.target.value)}
+                rows={10}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder="william: bill, billy, will"
+              />
+              <div className="flex justify-between items-center mt-2">
+                <p className="text-xs text-gray-500">
+                  <strong>Example:</strong> william: bill, billy, will
+                </p>
+                <button
+                  onClick={() =>
+                    setNicknameText(formatNicknameTable(DEFAULT_NICKNAMES))
+                  }
+                  className="text-sm text-blue-600 hover:text-blue-800"
+                >
+                  Restore defaults
+                </button>
+              </div>
+            </div>
+
+            {/* Impact Preview */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h3 className="text-lg font-semibold mb-2">Check-in Impact</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Students whose check-in would change if you saved now, using
+                the same rules as the kiosk.
+              </p>
+              <EligibilityPreview
+                students={students}
+                savedSettings={savedSettings}
+                draftSettings={settings}
+                loading={studentsLoading}
+              />
             </div>
 
             {/* Settings Summary */}
@@ -305,14 +1187,33 @@ const AdminSettings = () => {
                   <span className="text-blue-800">Blocked Statuses:</span>
                   <span className="font-medium text-blue-900">
                     {settings.blockedStatuses.length > 0
-                      ? settings.blockedStatuses.join(", ")
+                      ? settings.blockedStatuses
+                          .map(
+                            (status) =>
+                              settings.statusCatalog.find((entry) => entry.value === status)
+                                ?.label || status
+                          )
+                          .join(", ")
                       : "None"}
                   </span>
                 </div>
+                <div className="flex justify-between">
+                  <span className="text-blue-800">Active Statuses / Games:</span>
+                  <span className="font-medium text-blue-900">
+                    {settings.statusCatalog.filter((entry) => entry.active).length} /{" "}
+                    {settings.gameCatalog.filter((entry) => entry.active).length}
+                  </span>
+                </div>
                 <div className="flex justify-between">
                   <span className="text-blue-800">Enforce Class End Date:</span>
                   <span className="font-medium text-blue-900">
-                    {settings.enforceClassEndDate ? "Yes" : "No"}
+                    {settings.enforceClassEndDate
+                      ? `Yes${
+                          settings.classEndGraceDays
+                            ? ` (+${settings.classEndGraceDays} grace days)`
+                            : ""
+                        }`
+                      : "No"}
                   </span>
                 </div>
                 <div className="flex justify-between">
@@ -320,7 +1221,63 @@ const AdminSettings = () => {
                     Enforce Practice End Date:
                   </span>
                   <span className="font-medium text-blue-900">
-                    {settings.enforcePracticeEndDate ? "Yes" : "No"}
+                    {settings.enforcePracticeEndDate
+                      ? `Yes${
+                          settings.practiceEndGraceDays
+                            ? ` (+${settings.practiceEndGraceDays} grace days)`
+                            : ""
+                        }`
+                      : "No"}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-blue-800">End Date Warnings:</span>
+                  <span className="font-medium text-blue-900">
+                    {settings.endDateWarningDays
+                      ? `${settings.endDateWarningDays} days before`
+                      : "Off"}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-blue-800">PIN Rules:</span>
+                  <span className="font-medium text-blue-900">
+                    {describePinPolicy(settings.pinPolicy)}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-blue-800">PIN Lockout:</span>
+                  <span className="font-medium text-blue-900">
+                    {settings.pinMaxAttempts} attempts, {settings.pinLockoutMinutes}{" "}
+                    min{settings.pinLockoutEscalation ? " (escalating)" : ""}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-blue-800">Operating Hours:</span>
+                  <span className="font-medium text-blue-900">
+                    {settings.operatingHours.enabled
+                      ? `Enforced, ${settings.operatingHours.closures.length} closure(s)`
+                      : "Not enforced"}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-blue-800">Forgotten Check-outs:</span>
+                  <span className="font-medium text-blue-900">
+                    {settings.openSessionPolicy.mode === "max-hours"
+                      ? `Close after ${settings.openSessionPolicy.maxHours} h`
+                      : OPEN_SESSION_POLICIES[settings.openSessionPolicy.mode]}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-blue-800">Kiosk Timeout:</span>
+                  <span className="font-medium text-blue-900">
+                    {settings.kioskIdleSeconds}s ({settings.kioskWarningSeconds}s
+                    warning){settings.kioskMode ? ", tablet mode" : ""}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-blue-800">Minimum Hours to Graduate:</span>
+                  <span className="font-medium text-blue-900">
+                    {settings.curriculum.minimumTotalHours || "None"}
                   </span>
                 </div>
               </div>
@@ -355,7 +1312,8 @@ const AdminSettings = () => {
                 </li>
                 <li>
                   Blocked students will see an error message explaining why they
-                  cannot check in
+                  cannot check in; rules set to warn only show the message and
+                  let them in
                 </li>
                 <li>Date restrictions are checked against the current date</li>
                 <li>
@@ -368,8 +1326,14 @@ const AdminSettings = () => {
           </div>
         </div>
       </div>
-    </>
+    </CatalogContext.Provider>
   );
 };
 
-export default AdminSettings;
+const AdminSettingsPage = () => (
+  <RequireStaff permission="settings.edit">
+    <AdminSettings />
+  </RequireStaff>
+);
+
+export default AdminSettingsPage;
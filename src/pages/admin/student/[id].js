@@ -2,6 +2,28 @@
 import React, { useState, useEffect } from "react";
 import Link from "next/link";
 import Head from "next/head";
+import AdminNav from "@/components/AdminNav";
+import RequireStaff from "@/components/RequireStaff";
+import GameHoursBreakdown from "@/components/GameHoursBreakdown";
+import SessionEditor from "@/components/SessionEditor";
+import { authFetch, useStaff } from "@/lib/auth";
+import {
+  CatalogContext,
+  DEFAULT_CATALOGS,
+  getCatalogs,
+  getGameDisplayName,
+  getStatusLabel,
+} from "@/lib/catalog";
+import {
+  formatSessionCorrections,
+  formatSessionGames,
+  getGamesInSessions,
+  getSessionGameHours,
+  formatSystemClosed,
+  isSessionEdited,
+  isSystemClosed,
+  SESSION_NOT_FOUND_MESSAGE,
+} from "@/lib/sessions";
 import { useRouter } from "next/router";
 
 const API = process.env.NEXT_PUBLIC_API_URL;
@@ -9,10 +31,15 @@ const API = process.env.NEXT_PUBLIC_API_URL;
 const StudentHistory = () => {
   const router = useRouter();
   const { id } = router.query;
+  const { can } = useStaff();
   const [student, setStudent] = useState(null);
+  const [catalogs, setCatalogs] = useState(DEFAULT_CATALOGS);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [dateRange, setDateRange] = useState({ start: "", end: "" });
+  // null, "new", or the session being corrected
+  const [editingSession, setEditingSession] = useState(null);
+  const [sessionError, setSessionError] = useState("");
 
   useEffect(() => {
     if (id) {
@@ -23,7 +50,15 @@ const StudentHistory = () => {
   const fetchStudentHistory = async () => {
     setLoading(true);
     try {
-      const response = await fetch(`${API}/users/${id}`);
+      // Settings only supply status and game names; the page works without them
+      const [response, settingsResponse] = await Promise.all([
+        authFetch(`${API}/users/${id}`),
+        authFetch(`${API}/settings`).catch(() => null),
+      ]);
+      if (settingsResponse?.ok) {
+        const settingsData = await settingsResponse.json().catch(() => []);
+        setCatalogs(getCatalogs(settingsData[0]));
+      }
       if (response.ok) {
         const data = await response.json();
         setStudent(data);
@@ -72,27 +107,36 @@ const StudentHistory = () => {
     }
   };
 
-  const deleteSession = async (sessionIndex) => {
+  const deleteSession = async (sessionId) => {
     if (!confirm("Are you sure you want to delete this session record?"))
       return;
 
+    setSessionError("");
     try {
-      const response = await fetch(
-        `${API}/users/${id}/session/${sessionIndex}`,
+      const response = await authFetch(
+        `${API}/users/${id}/sessions/${sessionId}`,
         {
           method: "DELETE",
         }
       );
       if (response.ok) {
         fetchStudentHistory();
+      } else if (response.status === 404) {
+        handleSessionNotFound(SESSION_NOT_FOUND_MESSAGE);
       } else {
-        setError("Failed to delete session record");
+        setSessionError("Failed to delete session record");
       }
     } catch (err) {
-      setError("Error connecting to server");
+      setSessionError("Error connecting to server");
     }
   };
 
+  const handleSessionNotFound = (message) => {
+    setEditingSession(null);
+    setSessionError(message);
+    fetchStudentHistory();
+  };
+
   const filterSessionsByDateRange = (sessions) => {
     if (!dateRange.start && !dateRange.end) return sessions;
 
@@ -136,6 +180,8 @@ const StudentHistory = () => {
   };
 
   const generateCSV = (students) => {
+    // One hours column per game practiced in any exported session
+    const games = getGamesInSessions(students.flatMap((s) => s.sessions || []));
     const headers = [
       "Student Name",
       "PIN",
@@ -143,12 +189,17 @@ const StudentHistory = () => {
       "Check-in Date/Time",
       "Check-out Date/Time",
       "Hours",
+      ...games.map((game) => `${getGameDisplayName(catalogs, game)} Hours`),
+      "Edited",
+      "Correction Reason",
+      "System Closed",
     ];
     const rows = [headers];
 
     students.forEach((student) => {
       if (student.sessions && student.sessions.length > 0) {
         student.sessions.forEach((session) => {
+          const gameHours = getSessionGameHours(session);
           rows.push([
             getFullName(student),
             student.pin || "",
@@ -158,13 +209,21 @@ const StudentHistory = () => {
               ? new Date(session.checkout).toLocaleString()
               : "In Progress",
             session.hours ? session.hours.toFixed(2) : "",
+            ...games.map((game) =>
+              gameHours[game] ? gameHours[game].toFixed(2) : ""
+            ),
+            isSessionEdited(session) ? "Yes" : "",
+            formatSessionCorrections(session),
+            formatSystemClosed(session),
           ]);
         });
       }
     });
 
     return rows
-      .map((row) => row.map((cell) => `"${cell}"`).join(","))
+      .map((row) =>
+        row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(",")
+      )
       .join("\n");
   };
 
@@ -200,25 +259,7 @@ const StudentHistory = () => {
           <title>Student Not Found</title>
         </Head>
         <div className="min-h-screen bg-gray-100">
-          <nav className="bg-blue-600 text-white p-4">
-            <div className="container mx-auto flex justify-between items-center">
-              <h1 className="text-xl font-bold">Student Check-in System</h1>
-              <div className="space-x-4">
-                <Link
-                  href="/"
-                  className="px-4 py-2 rounded bg-blue-500 hover:bg-blue-700"
-                >
-                  Student Login
-                </Link>
-                <Link
-                  href="/admin"
-                  className="px-4 py-2 rounded bg-blue-500 hover:bg-blue-700"
-                >
-                  Admin Panel
-                </Link>
-              </div>
-            </div>
-          </nav>
+          <AdminNav />
           <div className="container mx-auto p-4">
             <div className="text-center">
               <h2 className="text-2xl font-bold text-red-600 mb-4">Error</h2>
@@ -246,7 +287,7 @@ const StudentHistory = () => {
   );
 
   return (
-    <>
+    <CatalogContext.Provider value={catalogs}>
       <Head>
         <title>{getFullName(student)} - Session History</title>
         <meta
@@ -257,25 +298,7 @@ const StudentHistory = () => {
 
       <div className="min-h-screen bg-gray-100">
         {/* Navigation */}
-        <nav className="bg-blue-600 text-white p-4">
-          <div className="container mx-auto flex justify-between items-center">
-            <h1 className="text-xl font-bold">Student Check-in System</h1>
-            <div className="space-x-4">
-              <Link
-                href="/"
-                className="px-4 py-2 rounded bg-blue-500 hover:bg-blue-700"
-              >
-                Student Login
-              </Link>
-              <Link
-                href="/admin"
-                className="px-4 py-2 rounded bg-blue-500 hover:bg-blue-700"
-              >
-                Admin Panel
-              </Link>
-            </div>
-          </div>
-        </nav>
+        <AdminNav />
 
         {/* Content */}
         <div className="container mx-auto p-4">
@@ -296,6 +319,28 @@ const StudentHistory = () => {
               </div>
             </div>
 
+            {student.archivedAt && (
+              <div className="p-3 bg-gray-50 border border-gray-300 rounded-md">
+                <p className="text-gray-700">
+                  Archived on {new Date(student.archivedAt).toLocaleDateString()}.
+                  This student is hidden from the roster and cannot check in;
+                  their attendance is kept.
+                  {student.mergedInto && (
+                    <>
+                      {" "}Merged into{" "}
+                      <Link
+                        href={`/admin/student/${student.mergedInto}`}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        another record
+                      </Link>
+                      ; its sessions were moved there.
+                    </>
+                  )}
+                </p>
+              </div>
+            )}
+
             {/* Student Info Card */}
             <div className="bg-white rounded-lg shadow-md p-6">
               <h3 className="text-lg font-semibold mb-4">
@@ -334,7 +379,9 @@ const StudentHistory = () => {
                   <span className="text-sm font-medium text-gray-500">
                     Status:
                   </span>
-                  <p className="text-gray-900">{student.status || "N/A"}</p>
+                  <p className="text-gray-900">
+                    {student.status ? getStatusLabel(catalogs, student.status) : "N/A"}
+                  </p>
                 </div>
                 <div>
                   <span className="text-sm font-medium text-gray-500">
@@ -405,10 +452,42 @@ const StudentHistory = () => {
 
             {/* Session History */}
             <div className="bg-white rounded-lg shadow-md">
-              <div className="px-6 py-4 border-b border-gray-200">
+              <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
                 <h3 className="text-lg font-semibold">Session History</h3>
+                {can("sessions.edit") && (
+                  <button
+                    onClick={() => setEditingSession("new")}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                  >
+                    Add Session
+                  </button>
+                )}
               </div>
 
+              {sessionError && (
+                <div className="mx-6 mt-4 p-3 bg-red-50 border border-red-200 rounded-md">
+                  <p className="text-red-700">{sessionError}</p>
+                </div>
+              )}
+
+              {editingSession && (
+                <div className="p-6 border-b border-gray-200">
+                  <SessionEditor
+                    key={editingSession === "new" ? "new" : editingSession._id}
+                    studentId={id}
+                    session={editingSession === "new" ? null : editingSession}
+                    games={student.games}
+                    onSaved={() => {
+                      setEditingSession(null);
+                      setSessionError("");
+                      fetchStudentHistory();
+                    }}
+                    onNotFound={handleSessionNotFound}
+                    onCancel={() => setEditingSession(null)}
+                  />
+                </div>
+              )}
+
               {filteredSessions.length === 0 ? (
                 <div className="text-center py-8 text-gray-500">
                   {sortedSessions.length === 0
@@ -432,6 +511,9 @@ const StudentHistory = () => {
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                           Hours
                         </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Games
+                        </th>
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                           Time Ago
                         </th>
@@ -442,13 +524,12 @@ const StudentHistory = () => {
                     </thead>
                     <tbody className="bg-white divide-y divide-gray-200">
                       {filteredSessions.map((session, index) => {
-                        const originalIndex = sortedSessions.indexOf(session);
                         const isActive = !session.checkout;
                         const isLatest = index === 0;
 
                         return (
                           <tr
-                            key={originalIndex}
+                            key={session._id}
                             className={isLatest ? "bg-green-50" : ""}
                           >
                             <td className="px-6 py-4 whitespace-nowrap">
@@ -463,6 +544,22 @@ const StudentHistory = () => {
                                     Active
                                   </span>
                                 )}
+                                {isSessionEdited(session) && (
+                                  <span
+                                    title={formatSessionCorrections(session)}
+                                    className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800 mr-2"
+                                  >
+                                    Edited
+                                  </span>
+                                )}
+                                {isSystemClosed(session) && (
+                                  <span
+                                    title={formatSystemClosed(session)}
+                                    className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800 mr-2"
+                                  >
+                                    System closed
+                                  </span>
+                                )}
                                 {filteredSessions.length - index}
                               </div>
                             </td>
@@ -489,22 +586,33 @@ const StudentHistory = () => {
                                 {session.hours ? session.hours.toFixed(2) : "-"}
                               </div>
                             </td>
+                            <td className="px-6 py-4">
+                              <div className="text-sm text-gray-600">
+                                {formatSessionGames(session, catalogs) || "-"}
+                              </div>
+                            </td>
                             <td className="px-6 py-4 whitespace-nowrap">
                               <div className="text-sm text-gray-500">
                                 {getTimeAgo(session.checkin)}
                               </div>
                             </td>
-                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                              <button
-                                onClick={() =>
-                                  deleteSession(
-                                    student.sessions.indexOf(session)
-                                  )
-                                }
-                                className="text-red-600 hover:text-red-900"
-                              >
-                                Delete
-                              </button>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
+                              {can("sessions.edit") && (
+                                <button
+                                  onClick={() => setEditingSession(session)}
+                                  className="text-blue-600 hover:text-blue-900"
+                                >
+                                  {isActive ? "Close" : "Edit"}
+                                </button>
+                              )}
+                              {can("sessions.delete") && (
+                                <button
+                                  onClick={() => deleteSession(session._id)}
+                                  className="text-red-600 hover:text-red-900"
+                                >
+                                  Delete
+                                </button>
+                              )}
                             </td>
                           </tr>
                         );
@@ -549,6 +657,9 @@ const StudentHistory = () => {
                     </div>
                   </div>
                 </div>
+                <div className="mt-4">
+                  <GameHoursBreakdown sessions={filteredSessions} />
+                </div>
               </div>
             )}
 
@@ -560,8 +671,14 @@ const StudentHistory = () => {
           </div>
         </div>
       </div>
-    </>
+    </CatalogContext.Provider>
   );
 };
 
-export default StudentHistory;
+const StudentHistoryPage = () => (
+  <RequireStaff>
+    <StudentHistory />
+  </RequireStaff>
+);
+
+export default StudentHistoryPage;
@@ -1,80 +1,165 @@
 // pages/index.js - Student Login with Split Name Fields
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import Link from "next/link";
 import Head from "next/head";
+import {
+  cacheGet,
+  cacheSet,
+  countQueuedEvents,
+  createPinProof,
+  enqueueEvent,
+  replayQueuedEvents,
+} from "@/lib/offlineQueue";
+import { isBadgeCode } from "@/lib/badges";
+import { searchStudents } from "@/lib/search";
+import {
+  CatalogContext,
+  getCatalogs,
+  getGameDisplayName,
+  isGameActive,
+} from "@/lib/catalog";
+import { getActiveSession, getCurrentGame } from "@/lib/sessions";
+import { checkSchoolOpen } from "@/lib/schedule";
+import { getEndDateWarnings } from "@/lib/endDates";
+import { evaluateEligibility, validateStudent } from "@/lib/eligibility";
+import { getPinPolicy } from "@/lib/pinPolicy";
+import CurriculumProgress from "@/components/CurriculumProgress";
+import OnScreenKeyboard from "@/components/OnScreenKeyboard";
+import PinPad from "@/components/PinPad";
 
 const API = process.env.NEXT_PUBLIC_API_URL;
+const SYNC_INTERVAL_MS = 30000;
+
+const OFFLINE_EVENT_LABELS = {
+  checkin: "Check-in",
+  checkout: "Check-out",
+  "switch-game": "Game switch",
+};
+
+const DEFAULT_SETTINGS = {
+  blockedStatuses: ["Suspended"],
+  enforceClassEndDate: false,
+  enforcePracticeEndDate: false,
+  kioskIdleSeconds: 60,
+  kioskWarningSeconds: 15,
+  kioskMode: false,
+};
+
+// Touching or typing anywhere on the kiosk counts as activity
+const ACTIVITY_EVENTS = ["pointerdown", "keydown", "touchstart"];
 
 const StudentLogin = () => {
   const [nameQuery, setNameQuery] = useState("");
   const [matchingStudents, setMatchingStudents] = useState([]);
   const [selectedStudent, setSelectedStudent] = useState(null);
   const [pin, setPin] = useState("");
+  // "pad" or "keyboard" once the student switches PIN entry in kiosk mode
+  const [pinEntry, setPinEntry] = useState(null);
   const [student, setStudent] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [success, setSuccess] = useState("");
   const [hasActiveSession, setHasActiveSession] = useState(false);
+  const [activeGame, setActiveGame] = useState(null);
+  const [selectedGame, setSelectedGame] = useState("");
   const [settings, setSettings] = useState(null);
+  const catalogs = useMemo(() => getCatalogs(settings), [settings]);
   const [validationError, setValidationError] = useState("");
-  const [allStudents, setAllStudents] = useState([]);
+  const [directory, setDirectory] = useState([]);
+  const [checkinToken, setCheckinToken] = useState(null);
+  const [isOffline, setIsOffline] = useState(false);
+  const [offlineVerification, setOfflineVerification] = useState(false);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [idleSecondsLeft, setIdleSecondsLeft] = useState(null);
+  const lastActivityRef = useRef(Date.now());
 
   useEffect(() => {
     fetchSettings();
-    fetchAllStudents();
+    syncWithServer();
+
+    const interval = setInterval(syncWithServer, SYNC_INTERVAL_MS);
+    window.addEventListener("online", syncWithServer);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener("online", syncWithServer);
+    };
   }, []);
 
+  // Kiosk mode keeps the tablet's own keyboard closed and shows ours instead
+  const kioskMode = !!settings?.kioskMode;
+
+  // The pad is the default for digit-only PINs, but PINs from before the
+  // current rules may have letters, so the text input is one tap away
+  const pinPolicy = getPinPolicy(settings);
+  const showPinPad =
+    kioskMode && (pinEntry ? pinEntry === "pad" : pinPolicy.digitsOnly);
+
+  // Once someone starts using the kiosk, return it to the name search after
+  // a period of inactivity so the next person cannot act as that student.
+  // Paused while a request is in flight.
+  const isIdleTimerRunning =
+    !loading && !!(student || selectedStudent || nameQuery);
+
   useEffect(() => {
-    if (nameQuery.trim().length > 0) {
-      const terms = nameQuery.toLowerCase().split(/\s+/).filter(Boolean);
-      const matches = allStudents
-        .map((s) => {
-          const firstName = (s.firstName || "").toLowerCase();
-          const lastName = (s.lastName || "").toLowerCase();
-
-          let totalScore = 0;
-          let allTermsMatch = true;
-
-          for (const term of terms) {
-            let termScore = 0;
-            if (firstName === term || lastName === term) {
-              termScore = 3;
-            } else if (firstName.startsWith(term) || lastName.startsWith(term)) {
-              termScore = 2;
-            } else if (firstName.includes(term) || lastName.includes(term)) {
-              termScore = 1;
-            }
-
-            if (termScore === 0) {
-              allTermsMatch = false;
-              break;
-            }
-            totalScore += termScore;
-          }
-
-          return { ...s, _searchScore: allTermsMatch ? totalScore : 0 };
-        })
-        .filter((s) => s._searchScore > 0)
-        .sort((a, b) => {
-          // Sort by relevance score (descending), then lastName, firstName
-          if (a._searchScore !== b._searchScore) return b._searchScore - a._searchScore;
-          const aName = `${a.lastName || ""} ${a.firstName || ""}`.toLowerCase();
-          const bName = `${b.lastName || ""} ${b.firstName || ""}`.toLowerCase();
-          return aName.localeCompare(bName);
-        });
-      setMatchingStudents(matches);
-    } else {
-      setMatchingStudents([]);
+    if (!isIdleTimerRunning) {
+      setIdleSecondsLeft(null);
+      return;
     }
-  }, [nameQuery, allStudents]);
 
-  const fetchAllStudents = async () => {
+    const idleSeconds =
+      settings?.kioskIdleSeconds || DEFAULT_SETTINGS.kioskIdleSeconds;
+    const markActivity = () => {
+      lastActivityRef.current = Date.now();
+    };
+    markActivity();
+    setIdleSecondsLeft(idleSeconds);
+
+    const interval = setInterval(() => {
+      const remaining = Math.ceil(
+        (lastActivityRef.current + idleSeconds * 1000 - Date.now()) / 1000
+      );
+      if (remaining <= 0) {
+        resetKiosk();
+      } else {
+        setIdleSecondsLeft(remaining);
+      }
+    }, 1000);
+    ACTIVITY_EVENTS.forEach((event) =>
+      window.addEventListener(event, markActivity)
+    );
+    return () => {
+      clearInterval(interval);
+      ACTIVITY_EVENTS.forEach((event) =>
+        window.removeEventListener(event, markActivity)
+      );
+    };
+  }, [isIdleTimerRunning, settings]);
+
+  useEffect(() => {
+    setMatchingStudents(
+      searchStudents(directory, nameQuery, { nicknames: settings?.nicknames })
+    );
+  }, [nameQuery, directory, settings]);
+
+  // The kiosk only ever receives id + name; PINs are verified server-side.
+  // Archived students are left out of the directory by the API.
+  // The last directory received is cached so names stay searchable offline.
+  const fetchDirectory = async () => {
     try {
-      const response = await fetch(`${API}/users`);
+      const response = await fetch(`${API}/users/directory`);
       const data = await response.json();
-      setAllStudents(data);
+      setDirectory(data);
+      setIsOffline(false);
+      cacheSet("directory", data).catch((err) =>
+        console.error("Failed to cache student directory:", err)
+      );
+      return true;
     } catch (err) {
-      console.error("Failed to fetch students:", err);
+      console.error("Failed to fetch student directory:", err);
+      setIsOffline(true);
+      const cached = await cacheGet("directory").catch(() => null);
+      if (cached) setDirectory(cached);
+      return false;
     }
   };
 
@@ -82,73 +167,71 @@ const StudentLogin = () => {
     try {
       const response = await fetch(`${API}/settings`);
       const data = await response.json();
-      setSettings(
-        data[0] || {
-          blockedStatuses: ["Suspended"],
-          enforceClassEndDate: false,
-          enforcePracticeEndDate: false,
-        }
+      setSettings(data[0] || DEFAULT_SETTINGS);
+      cacheSet("settings", data[0] || DEFAULT_SETTINGS).catch((err) =>
+        console.error("Failed to cache settings:", err)
       );
     } catch (err) {
       console.error("Failed to fetch settings:", err);
-      setSettings({
-        blockedStatuses: ["Suspended"],
-        enforceClassEndDate: false,
-        enforcePracticeEndDate: false,
-      });
+      const cached = await cacheGet("settings").catch(() => null);
+      setSettings(cached || DEFAULT_SETTINGS);
     }
   };
 
-  const getFullName = (student) => {
-    return `${student.firstName || ""} ${student.lastName || ""}`.trim();
-  };
-
-  const validateStudent = (studentData) => {
-    if (!settings) return { valid: true };
-
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    // Check blocked statuses
-    if (settings.blockedStatuses && settings.blockedStatuses.length > 0) {
-      if (
-        studentData.status &&
-        settings.blockedStatuses.includes(studentData.status)
-      ) {
-        return {
-          valid: false,
-          message: `Students with status "${studentData.status}" are not allowed to check in.`,
-        };
-      }
+  const refreshPendingCount = async () => {
+    try {
+      setPendingCount(await countQueuedEvents());
+    } catch (err) {
+      console.error("Failed to read offline queue:", err);
     }
+  };
 
-    // Check end of class date
-    if (settings.enforceClassEndDate && studentData.endOfClassDate) {
-      const endOfClassDate = new Date(studentData.endOfClassDate);
-      endOfClassDate.setHours(0, 0, 0, 0);
-      if (today > endOfClassDate) {
-        return {
-          valid: false,
-          message:
-            "Your class end date has passed. Please contact administration.",
-        };
+  // Refresh the directory and replay anything queued while offline
+  const syncWithServer = async () => {
+    const reachable = await fetchDirectory();
+    if (reachable) {
+      try {
+        const result = await replayQueuedEvents(API);
+        setIsOffline(!result.reachable);
+      } catch (err) {
+        console.error("Failed to replay offline queue:", err);
       }
     }
+    await refreshPendingCount();
+  };
 
-    // Check end of practice date
-    if (settings.enforcePracticeEndDate && studentData.endOfPracticeDate) {
-      const endOfPracticeDate = new Date(studentData.endOfPracticeDate);
-      endOfPracticeDate.setHours(0, 0, 0, 0);
-      if (today > endOfPracticeDate) {
-        return {
-          valid: false,
-          message:
-            "Your practice end date has passed. Please contact administration.",
-        };
-      }
+  // Record a check-in/out locally with its original timestamp. The PIN itself
+  // is never stored: the event keeps the check-in token when the PIN was
+  // verified online, or a proof of the PIN the server checks on replay.
+  const queueOfflineEvent = async (type) => {
+    try {
+      const timestamp = new Date().toISOString();
+      await enqueueEvent({
+        studentId: student._id,
+        studentName: getFullName(student),
+        type,
+        game: selectedGame || null,
+        timestamp,
+        ...(checkinToken
+          ? { checkinToken }
+          : { pinProof: await createPinProof(pin.trim(), student._id, timestamp) }),
+      });
+      setIsOffline(true);
+      await refreshPendingCount();
+      setSuccess(
+        `${
+          OFFLINE_EVENT_LABELS[type]
+        } saved offline. It will sync when the connection is restored.`
+      );
+      resetAfterAction();
+    } catch (err) {
+      console.error("Failed to queue offline event:", err);
+      setError("Error connecting to server.");
     }
+  };
 
-    return { valid: true };
+  const getFullName = (student) => {
+    return `${student.firstName || ""} ${student.lastName || ""}`.trim();
   };
 
   const handleSelectStudent = (s) => {
@@ -160,84 +243,231 @@ const StudentLogin = () => {
     setPin("");
   };
 
-  const handlePinSubmit = async () => {
-    if (!pin || !selectedStudent) return;
+  // Verified (by PIN or badge): the server returns a short-lived check-in
+  // token and the student's own record (without PIN) for validation and
+  // session state
+  const applyVerification = ({ token, student: foundStudent }) => {
+    // Validate student before allowing check-in/out
+    const validation = validateStudent(foundStudent, settings);
+    if (!validation.valid) {
+      setValidationError(validation.message);
+      setStudent(null);
+      return;
+    }
 
-    setError("");
-    setValidationError("");
+    // Check if student has an active session, and what they are practicing
+    const activeSession = getActiveSession(foundStudent.sessions);
 
-    if (selectedStudent.pin?.trim() !== pin.trim()) {
-      setPin("");
-      setError("Incorrect PIN. Please try again.");
-      return;
+    // Outside opening hours there is nothing to do unless checking out
+    if (!activeSession) {
+      const schoolStatus = checkSchoolOpen(settings?.operatingHours);
+      if (!schoolStatus.open) {
+        setValidationError(schoolStatus.message);
+        setStudent(null);
+        return;
+      }
     }
 
+    setCheckinToken(token);
+    setStudent(foundStudent);
+    setHasActiveSession(!!activeSession);
+    setActiveGame(getCurrentGame(activeSession));
+
+    // Nothing to choose when only one game is assigned
+    const games = (foundStudent.games || []).filter((game) =>
+      isGameActive(catalogs, game)
+    );
+    setSelectedGame(!activeSession && games.length === 1 ? games[0] : "");
+  };
+
+  // Badge scanners act as keyboards: the code is typed into the name field
+  // followed by Enter. A valid badge skips the PIN step.
+  const handleBadgeScan = async (code) => {
+    setNameQuery("");
+    setError("");
+    setValidationError("");
     setLoading(true);
 
-    // Refetch the student to get current session data
     try {
-      const response = await fetch(`${API}/users/${selectedStudent._id}`);
-      const foundStudent = await response.json();
+      const response = await fetch(`${API}/badges/verify`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ code: code.trim() }),
+      });
 
-      // Validate student before allowing check-in/out
-      const validation = validateStudent(foundStudent);
-      if (!validation.valid) {
-        setValidationError(validation.message);
-        setStudent(null);
-        setLoading(false);
+      if (!response.ok) {
+        setError(
+          response.status === 401 || response.status === 404
+            ? "This badge is not valid. Please search for your name or see the front desk."
+            : "Unable to read badge. Please try again."
+        );
         return;
       }
 
-      setStudent(foundStudent);
+      const verification = await response.json();
+      setSelectedStudent(verification.student);
+      applyVerification(verification);
+    } catch (err) {
+      setError(
+        "Badge check-in needs a connection to the server. Please search for your name instead."
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // 401 = wrong PIN (with attempts left before lockout), 423 = locked out
+  const getPinErrorMessage = (status, errorData) => {
+    if (status === 423) {
+      const until = errorData.lockedUntil
+        ? new Date(errorData.lockedUntil).toLocaleTimeString([], {
+            hour: "numeric",
+            minute: "2-digit",
+          })
+        : null;
+      return until
+        ? `Too many incorrect attempts. PIN entry is locked until ${until}. Please see the front desk.`
+        : "Too many incorrect attempts. PIN entry is locked. Please see the front desk.";
+    }
+    if (status === 401) {
+      const remaining = errorData.attemptsRemaining;
+      if (typeof remaining === "number" && remaining <= 2) {
+        return `Incorrect PIN. ${remaining} attempt${
+          remaining !== 1 ? "s" : ""
+        } remaining before PIN entry is locked.`;
+      }
+      return "Incorrect PIN. Please try again.";
+    }
+    return "Unable to verify PIN. Please try again.";
+  };
+
+  const handlePinSubmit = async () => {
+    if (!pin || !selectedStudent) return;
+
+    setError("");
+    setValidationError("");
+    setLoading(true);
 
-      // Check if student has an active session
-      const activeSessions = foundStudent.sessions?.filter(
-        (session) => session.checkin && !session.checkout
+    try {
+      const response = await fetch(
+        `${API}/users/${selectedStudent._id}/verify-pin`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ pin: pin.trim() }),
+        }
       );
-      setHasActiveSession(activeSessions && activeSessions.length > 0);
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        setPin("");
+        setError(getPinErrorMessage(response.status, errorData));
+        return;
+      }
+
+      applyVerification(await response.json());
     } catch (err) {
-      setError("Error connecting to server.");
-      setStudent(null);
+      // Server unreachable: let the student continue offline. A proof of the
+      // PIN is checked when the queued event is replayed.
+      setIsOffline(true);
+      setOfflineVerification(true);
+      setStudent(selectedStudent);
+      setHasActiveSession(false);
     } finally {
       setLoading(false);
     }
   };
 
+  // Drop back to the PIN step when the check-in token is no longer accepted
+  const handleExpiredToken = () => {
+    setStudent(null);
+    setCheckinToken(null);
+    setPin("");
+    setHasActiveSession(false);
+    setActiveGame(null);
+    setSelectedGame("");
+    setError("Your session has expired. Please enter your PIN again.");
+  };
+
+  // Back to the name search with nothing of the previous student left behind
+  const resetKiosk = () => {
+    setNameQuery("");
+    setStudent(null);
+    setSelectedStudent(null);
+    setCheckinToken(null);
+    setOfflineVerification(false);
+    setPin("");
+    setPinEntry(null);
+    setError("");
+    setValidationError("");
+    setHasActiveSession(false);
+    setActiveGame(null);
+    setSelectedGame("");
+  };
+
+  const resetAfterAction = () => {
+    setStudent(null);
+    setSelectedStudent(null);
+    setCheckinToken(null);
+    setOfflineVerification(false);
+    setPin("");
+    setHasActiveSession(false);
+    setActiveGame(null);
+    setSelectedGame("");
+    setTimeout(() => setSuccess(""), 3000);
+  };
+
   const handleCheckin = async () => {
     if (!student) return;
 
     // Double-check validation before check-in
-    const validation = validateStudent(student);
+    const validation = validateStudent(student, settings);
     if (!validation.valid) {
       setValidationError(validation.message);
       return;
     }
 
+    const schoolStatus = checkSchoolOpen(settings?.operatingHours);
+    if (!schoolStatus.open) {
+      setValidationError(schoolStatus.message);
+      return;
+    }
+
     setLoading(true);
     setError("");
     setSuccess("");
 
     try {
+      if (offlineVerification) {
+        await queueOfflineEvent("checkin");
+        return;
+      }
+
       const response = await fetch(`${API}/users/${student._id}/checkin`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
+          Authorization: `Bearer ${checkinToken}`,
         },
+        body: JSON.stringify({ game: selectedGame || null }),
       });
 
-      if (response.ok) {
+      if (response.status === 401) {
+        handleExpiredToken();
+      } else if (response.ok) {
         setSuccess("Check-in successful!");
-        setStudent(null);
-        setSelectedStudent(null);
-        setPin("");
-        setHasActiveSession(false);
-        setTimeout(() => setSuccess(""), 3000);
+        resetAfterAction();
       } else {
-        const errorData = await response.json();
+        const errorData = await response.json().catch(() => ({}));
         setError(errorData.error || "Failed to check in. Please try again.");
       }
     } catch (err) {
-      setError("Error connecting to server.");
+      // Network failure: keep the event locally instead of losing it
+      await queueOfflineEvent("checkin");
     } finally {
       setLoading(false);
     }
@@ -251,33 +481,83 @@ const StudentLogin = () => {
     setSuccess("");
 
     try {
+      if (offlineVerification) {
+        await queueOfflineEvent("checkout");
+        return;
+      }
+
       const response = await fetch(`${API}/users/${student._id}/checkout`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
+          Authorization: `Bearer ${checkinToken}`,
         },
       });
 
-      if (response.ok) {
+      if (response.status === 401) {
+        handleExpiredToken();
+      } else if (response.ok) {
         setSuccess("Check-out successful!");
-        setStudent(null);
-        setSelectedStudent(null);
-        setPin("");
-        setHasActiveSession(false);
-        setTimeout(() => setSuccess(""), 3000);
+        resetAfterAction();
       } else {
-        const errorData = await response.json();
+        const errorData = await response.json().catch(() => ({}));
         setError(errorData.error || "Failed to check out. Please try again.");
       }
     } catch (err) {
-      setError("Error connecting to server.");
+      // Network failure: keep the event locally instead of losing it
+      await queueOfflineEvent("checkout");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Ends the current game segment and starts a new one in the same session
+  const handleSwitchGame = async () => {
+    if (!student || !selectedGame) return;
+
+    setLoading(true);
+    setError("");
+    setSuccess("");
+
+    try {
+      const response = await fetch(
+        `${API}/users/${student._id}/switch-game`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${checkinToken}`,
+          },
+          body: JSON.stringify({ game: selectedGame }),
+        }
+      );
+
+      if (response.status === 401) {
+        handleExpiredToken();
+      } else if (response.ok) {
+        setSuccess(`Now practicing ${getGameDisplayName(catalogs, selectedGame)}.`);
+        resetAfterAction();
+      } else {
+        const errorData = await response.json().catch(() => ({}));
+        setError(errorData.error || "Failed to switch games. Please try again.");
+      }
+    } catch (err) {
+      // Network failure: keep the event locally instead of losing it
+      await queueOfflineEvent("switch-game");
     } finally {
       setLoading(false);
     }
   };
 
+  // Games the student can pick: all assigned games at check-in, the others
+  // when switching mid-session
+  const gameChoices = (student?.games || []).filter(
+    (game) =>
+      isGameActive(catalogs, game) && (!hasActiveSession || game !== activeGame)
+  );
+
   return (
-    <>
+    <CatalogContext.Provider value={catalogs}>
       <Head>
         <title>Student Check-in</title>
         <meta name="description" content="Student check-in system" />
@@ -288,7 +568,12 @@ const StudentLogin = () => {
         <nav className="bg-blue-600 text-white p-4">
           <div className="container mx-auto flex justify-between items-center">
             <h1 className="text-xl font-bold">Student Check-in System</h1>
-            <div className="space-x-4">
+            <div className="flex items-center space-x-4">
+              {(isOffline || pendingCount > 0) && (
+                <span className="px-3 py-1 rounded bg-yellow-400 text-yellow-900 text-sm font-medium">
+                  {isOffline ? "Offline" : "Syncing"} — {pendingCount} pending
+                </span>
+              )}
               <Link href="/" className="px-4 py-2 rounded bg-blue-800">
                 Student Login
               </Link>
@@ -298,7 +583,11 @@ const StudentLogin = () => {
 
         {/* Content */}
         <div className="container mx-auto p-4">
-          <div className="max-w-md mx-auto bg-white rounded-lg shadow-md p-6">
+          <div
+            className={`${
+              kioskMode ? "max-w-xl" : "max-w-md"
+            } mx-auto bg-white rounded-lg shadow-md p-6`}
+          >
             <h2 className="text-2xl font-bold text-center mb-6">
               Student Check-in
             </h2>
@@ -314,12 +603,23 @@ const StudentLogin = () => {
                     type="text"
                     value={nameQuery}
                     onChange={(e) => setNameQuery(e.target.value)}
+                    onKeyDown={(e) =>
+                      e.key === "Enter" &&
+                      isBadgeCode(nameQuery) &&
+                      handleBadgeScan(nameQuery)
+                    }
                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    placeholder="Search by first or last name"
+                    placeholder="Search by first or last name, or scan your badge"
+                    inputMode={kioskMode ? "none" : "text"}
+                    autoComplete="off"
                     autoFocus
                   />
                 </div>
 
+                {kioskMode && (
+                  <OnScreenKeyboard value={nameQuery} onChange={setNameQuery} />
+                )}
+
                 {matchingStudents.length > 0 && (
                   <div className="max-h-60 overflow-y-auto border border-gray-200 rounded-md">
                     {matchingStudents.map((s) => (
@@ -336,7 +636,9 @@ const StudentLogin = () => {
                   </div>
                 )}
 
-                {nameQuery.trim().length > 0 && matchingStudents.length === 0 && (
+                {nameQuery.trim().length > 0 &&
+                  matchingStudents.length === 0 &&
+                  !isBadgeCode(nameQuery) && (
                   <p className="text-sm text-gray-500 text-center">
                     No students found matching &quot;{nameQuery}&quot;
                   </p>
@@ -354,16 +656,35 @@ const StudentLogin = () => {
                   <label className="block text-sm font-medium text-gray-700 mb-2">
                     Enter your PIN:
                   </label>
-                  <input
-                    type="password"
-                    value={pin}
-                    onChange={(e) => setPin(e.target.value)}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    placeholder="Enter PIN"
-                    disabled={loading}
-                    onKeyPress={(e) => e.key === "Enter" && handlePinSubmit()}
-                    autoFocus
-                  />
+                  {showPinPad ? (
+                    <PinPad
+                      value={pin}
+                      onChange={setPin}
+                      onSubmit={handlePinSubmit}
+                      disabled={loading}
+                    />
+                  ) : (
+                    <input
+                      type="password"
+                      value={pin}
+                      onChange={(e) => setPin(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      placeholder="Enter PIN"
+                      disabled={loading}
+                      onKeyDown={(e) => e.key === "Enter" && handlePinSubmit()}
+                      autoComplete="off"
+                      autoFocus
+                    />
+                  )}
+                  {kioskMode && (
+                    <button
+                      type="button"
+                      onClick={() => setPinEntry(showPinPad ? "keyboard" : "pad")}
+                      className="mt-2 text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      {showPinPad ? "PIN has letters? Use the keyboard" : "Use the number pad"}
+                    </button>
+                  )}
                 </div>
                 <button
                   onClick={handlePinSubmit}
@@ -396,19 +717,93 @@ const StudentLogin = () => {
                   {hasActiveSession && (
                     <p className="text-sm text-blue-600 mt-2">
                       You have an active session
+                      {activeGame &&
+                        ` — practicing ${getGameDisplayName(catalogs, activeGame)}`}
+                    </p>
+                  )}
+                  {getEndDateWarnings(student, settings).map((warning) => (
+                    <p
+                      key={warning.type}
+                      className="mt-2 p-2 text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-md"
+                    >
+                      {warning.message}
+                    </p>
+                  ))}
+                  {/* Rules set to warn instead of block */}
+                  {evaluateEligibility(student, settings).warnings.map((warning) => (
+                    <p
+                      key={warning.rule}
+                      className="mt-2 p-2 text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-md"
+                    >
+                      {warning.message}
+                    </p>
+                  ))}
+                  {!offlineVerification && (
+                    <div className="mt-3 text-left">
+                      <CurriculumProgress
+                        student={student}
+                        curriculum={settings?.curriculum}
+                      />
+                    </div>
+                  )}
+                  {offlineVerification && (
+                    <p className="text-sm text-yellow-700 mt-2">
+                      The kiosk is offline. Your PIN will be verified when the
+                      connection is restored.
                     </p>
                   )}
                 </div>
+                {!offlineVerification && gameChoices.length > 0 && (
+                  <div className="text-left">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      {hasActiveSession
+                        ? "Switch to another game:"
+                        : "What are you practicing today?"}
+                    </label>
+                    <div className="grid grid-cols-2 gap-2">
+                      {gameChoices.map((game) => (
+                        <button
+                          key={game}
+                          onClick={() =>
+                            setSelectedGame((prev) => (prev === game ? "" : game))
+                          }
+                          className={`py-2 px-3 rounded-md border text-sm font-medium ${
+                            selectedGame === game
+                              ? "bg-blue-600 text-white border-blue-600"
+                              : "bg-white text-gray-700 border-gray-300 hover:bg-blue-50"
+                          }`}
+                        >
+                          {getGameDisplayName(catalogs, game)}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
                 <div className="space-y-2">
-                  {!hasActiveSession ? (
+                  {hasActiveSession && !offlineVerification && selectedGame && (
                     <button
-                      onClick={handleCheckin}
+                      onClick={handleSwitchGame}
                       disabled={loading}
+                      className="w-full bg-blue-600 text-white py-3 px-4 rounded-md hover:bg-blue-700 disabled:opacity-50 font-medium"
+                    >
+                      {loading
+                        ? "Switching..."
+                        : `Switch to ${getGameDisplayName(catalogs, selectedGame)}`}
+                    </button>
+                  )}
+                  {(!hasActiveSession || offlineVerification) && (
+                    <button
+                      onClick={handleCheckin}
+                      disabled={
+                        loading ||
+                        (!offlineVerification && gameChoices.length > 0 && !selectedGame)
+                      }
                       className="w-full bg-green-600 text-white py-3 px-4 rounded-md hover:bg-green-700 disabled:opacity-50 font-medium"
                     >
                       {loading ? "Checking in..." : "Confirm Check-in"}
                     </button>
-                  ) : (
+                  )}
+                  {(hasActiveSession || offlineVerification) && (
                     <button
                       onClick={handleCheckout}
                       disabled={loading}
@@ -418,14 +813,7 @@ const StudentLogin = () => {
                     </button>
                   )}
                   <button
-                    onClick={() => {
-                      setStudent(null);
-                      setSelectedStudent(null);
-                      setPin("");
-                      setError("");
-                      setValidationError("");
-                      setHasActiveSession(false);
-                    }}
+                    onClick={resetKiosk}
                     className="w-full bg-gray-500 text-white py-2 px-4 rounded-md hover:bg-gray-600"
                   >
                     Cancel
@@ -455,8 +843,42 @@ const StudentLogin = () => {
             )}
           </div>
         </div>
+
+        {/* Idle Warning */}
+        {idleSecondsLeft !== null &&
+          idleSecondsLeft <=
+            (settings?.kioskWarningSeconds ??
+              DEFAULT_SETTINGS.kioskWarningSeconds) && (
+            <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/40">
+              <div className="bg-white rounded-lg shadow-lg p-6 max-w-sm w-full mx-4 text-center space-y-4">
+                <h3 className="text-xl font-bold text-gray-900">Still here?</h3>
+                <p className="text-gray-600">
+                  This screen will reset in{" "}
+                  <span className="font-semibold text-gray-900">
+                    {idleSecondsLeft} second{idleSecondsLeft !== 1 ? "s" : ""}
+                  </span>
+                  .
+                </p>
+                <button
+                  onClick={() => {
+                    lastActivityRef.current = Date.now();
+                    setIdleSecondsLeft(null);
+                  }}
+                  className="w-full bg-blue-600 text-white py-3 px-4 rounded-md hover:bg-blue-700 font-medium"
+                >
+                  I&apos;m still here
+                </button>
+                <button
+                  onClick={resetKiosk}
+                  className="w-full bg-gray-500 text-white py-2 px-4 rounded-md hover:bg-gray-600"
+                >
+                  Start over
+                </button>
+              </div>
+            </div>
+          )}
       </div>
-    </>
+    </CatalogContext.Provider>
   );
 };
 